@@ -0,0 +1,186 @@
+// bm25-index.js - Corpus-Level BM25F Index over Document Elements
+import natural from "natural";
+
+const { PorterStemmer, stopwords } = natural;
+
+export class BM25Index {
+  constructor(config = {}) {
+    this.k1 = config.k1 ?? 1.2; // Term frequency saturation
+    this.b = config.b ?? 0.75; // Length normalization (0 = none, 1 = full)
+    this.fieldWeights = {
+      title: 2, // Document title
+      header: 1.5, // Section heading
+      body: 1, // Element text
+      ...(config.fieldWeights || {}),
+    };
+    this.stopwords = new Set(stopwords);
+
+    this.units = new Map(); // key -> { fields: { field: Map(term -> tf) }, lengths: { field: n } }
+    this.postings = new Map(); // term -> Set of unit keys
+    this.fieldLengthTotals = {};
+    this.fieldUnitCounts = {}; // Units that have each field, for average field lengths
+    this.queryCache = new Map(); // query -> all matching units, best first
+  }
+
+  /**
+   * Add one retrievable unit
+   * @param {string} key - Unique unit key
+   * @param {object} fields - Text per field, e.g. { title, header, body }
+   * @param {string} [group] - Group the unit belongs to (e.g. its document)
+   */
+  add(key, fields, group = null) {
+    const unit = { fields: {}, lengths: {}, group };
+
+    for (const [field, text] of Object.entries(fields)) {
+      if (!text || !(field in this.fieldWeights)) continue;
+      const terms = this.tokenize(text);
+      const frequencies = new Map();
+      for (const term of terms) {
+        frequencies.set(term, (frequencies.get(term) || 0) + 1);
+        if (!this.postings.has(term)) this.postings.set(term, new Set());
+        this.postings.get(term).add(key);
+      }
+      unit.fields[field] = frequencies;
+      unit.lengths[field] = terms.length;
+      this.fieldLengthTotals[field] =
+        (this.fieldLengthTotals[field] || 0) + terms.length;
+      this.fieldUnitCounts[field] = (this.fieldUnitCounts[field] || 0) + 1;
+    }
+
+    this.units.set(key, unit);
+    this.queryCache.clear();
+  }
+
+  /**
+   * Retrieve the best units for a query. Scores are normalized by the best
+   * score in the whole corpus, so they stay comparable between groups
+   * @param {string} query - Query text
+   * @param {number} topK - Maximum units returned
+   * @param {string} [group] - Only rank units of this group
+   * @returns {object} - { scores: Map of unit key -> normalized score (0-1), best first; maxScore }
+   */
+  retrieve(query, topK = 50, group = null) {
+    const ranked = this._rank(query);
+    const maxScore = ranked.length > 0 ? ranked[0].score : 0;
+    const selected = (
+      group === null
+        ? ranked
+        : ranked.filter((result) => this.units.get(result.key).group === group)
+    ).slice(0, topK);
+
+    return {
+      scores: new Map(
+        selected.map((result) => [result.key, result.score / maxScore])
+      ),
+      maxScore,
+    };
+  }
+
+  /**
+   * Score arbitrary text against a query with the corpus statistics
+   * @param {string} query - Query text
+   * @param {string} text - Text scored as a body field
+   * @returns {number} - Score normalized by the query's best corpus score (0-1)
+   */
+  scoreText(query, text) {
+    const ranked = this._rank(query);
+    const maxScore = ranked.length > 0 ? ranked[0].score : 0;
+    if (!maxScore) return 0;
+
+    const terms = [...new Set(this.tokenize(query))];
+    const bodyTerms = this.tokenize(text);
+    const frequencies = new Map();
+    for (const term of bodyTerms) {
+      frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    const unit = {
+      fields: { body: frequencies },
+      lengths: { body: bodyTerms.length },
+    };
+    return Math.min(1, this._scoreUnit(terms, unit) / maxScore);
+  }
+
+  /**
+   * Lowercased, stemmed terms without stopwords
+   * @param {string} text - Text to tokenize
+   * @returns {Array} - Terms
+   */
+  tokenize(text) {
+    return ((text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter((word) => word.length > 1 && !this.stopwords.has(word))
+      .map((word) => PorterStemmer.stem(word));
+  }
+
+  /**
+   * Get index statistics
+   * @returns {object} - Unit and vocabulary counts
+   */
+  getStats() {
+    return {
+      units: this.units.size,
+      terms: this.postings.size,
+    };
+  }
+
+  /**
+   * Score every unit containing a query term
+   * @param {string} query - Query text
+   * @returns {Array} - { key, score } with score > 0, best first
+   */
+  _rank(query) {
+    if (this.queryCache.has(query)) return this.queryCache.get(query);
+
+    const terms = [...new Set(this.tokenize(query))];
+    const candidates = new Set();
+    for (const term of terms) {
+      for (const key of this.postings.get(term) || []) candidates.add(key);
+    }
+
+    const ranked = [...candidates]
+      .map((key) => ({ key, score: this._scoreUnit(terms, this.units.get(key)) }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score);
+
+    this.queryCache.set(query, ranked);
+    return ranked;
+  }
+
+  /**
+   * BM25F score: field-weighted, length-normalized term frequencies are
+   * combined before saturation, then weighted by IDF
+   * @param {Array} terms - Unique query terms
+   * @param {object} unit - Unit with per-field frequencies and lengths
+   * @returns {number} - Raw score
+   */
+  _scoreUnit(terms, unit) {
+    const unitCount = this.units.size;
+    let score = 0;
+
+    for (const term of terms) {
+      const documentFrequency = (this.postings.get(term) || new Set()).size;
+      if (documentFrequency === 0) continue;
+
+      let weightedFrequency = 0;
+      for (const [field, frequencies] of Object.entries(unit.fields)) {
+        const frequency = frequencies.get(term);
+        if (!frequency) continue;
+        const averageLength =
+          this.fieldLengthTotals[field] / this.fieldUnitCounts[field] || 1;
+        const normalization =
+          1 - this.b + this.b * (unit.lengths[field] / averageLength);
+        weightedFrequency +=
+          (this.fieldWeights[field] * frequency) / normalization;
+      }
+      if (weightedFrequency === 0) continue;
+
+      const idf = Math.log(
+        1 + (unitCount - documentFrequency + 0.5) / (documentFrequency + 0.5)
+      );
+      score += (idf * weightedFrequency) / (this.k1 + weightedFrequency);
+    }
+
+    return score;
+  }
+}
+
+export default BM25Index;
@@ -0,0 +1,196 @@
+// debug-renderer.js - Annotated Page Images for Layout Debugging
+import fs from "fs-extra";
+import path from "path";
+import { createCanvas, loadImage } from "canvas";
+
+export class DebugRenderer {
+  constructor(config = {}) {
+    this.lineWidth = config.lineWidth || 3;
+    this.fontSize = config.fontSize || 16;
+    this.thumbnailWidth = config.thumbnailWidth || 400; // Contact sheet thumbnail width
+    this.contactSheetColumns = config.contactSheetColumns || 4;
+
+    // One color per layout class (see PDFProcessor.id2label)
+    this.labelColors = {
+      Caption: "#8e44ad",
+      Footnote: "#7f8c8d",
+      Formula: "#16a085",
+      "List-item": "#27ae60",
+      "Page-footer": "#95a5a6",
+      "Page-header": "#95a5a6",
+      Picture: "#f39c12",
+      "Section-header": "#c0392b",
+      Table: "#2980b9",
+      Text: "#2ecc71",
+      Title: "#e74c3c",
+    };
+    this.defaultColor = "#34495e";
+  }
+
+  /**
+   * Render annotated pages and a contact sheet for one document
+   * @param {Array} pageResults - Results from PDF processor
+   * @param {object} structure - Document structure from DocumentAnalyzer
+   * @param {string} filename - Original filename
+   * @param {string} outputDir - Directory holding the parsed JSONs
+   * @returns {Promise<object>} - Paths to page images and the contact sheet
+   */
+  async renderDocument(
+    pageResults,
+    structure,
+    filename,
+    outputDir = "./parsed_jsons"
+  ) {
+    const debugDir = path.join(outputDir, `${filename}_debug`);
+    await fs.ensureDir(debugDir);
+
+    const elementsByPage = new Map(
+      structure.pages.map((page) => [page.pageNumber, page.elements])
+    );
+    const sortedPages = [...pageResults].sort(
+      (a, b) => a.pageNumber - b.pageNumber
+    );
+
+    const pages = [];
+    for (const pageResult of sortedPages) {
+      try {
+        const canvas = await this.renderPage(
+          pageResult.sourceImagePath,
+          elementsByPage.get(pageResult.pageNumber) || []
+        );
+        const pagePath = path.join(
+          debugDir,
+          `page_${pageResult.pageNumber}.png`
+        );
+        await fs.writeFile(pagePath, canvas.toBuffer("image/png"));
+        pages.push({ pageNumber: pageResult.pageNumber, path: pagePath });
+      } catch (error) {
+        console.warn(
+          `⚠️ [Debug Renderer] Could not render page ${pageResult.pageNumber} of ${filename}:`,
+          error.message
+        );
+      }
+    }
+
+    let contactSheet = null;
+    if (pages.length > 0) {
+      contactSheet = path.join(debugDir, "contact_sheet.png");
+      const sheet = await this.renderContactSheet(pages);
+      await fs.writeFile(contactSheet, sheet.toBuffer("image/png"));
+    }
+
+    console.log(
+      `💾 [Debug Renderer] ${pages.length} annotated pages saved: ${debugDir}`
+    );
+    return { directory: debugDir, pages, contactSheet };
+  }
+
+  /**
+   * Draw layout boxes with label, confidence, reading order and section
+   * @param {string} imagePath - Path to the original page image
+   * @param {Array} elements - Page elements from the document structure
+   * @returns {Promise<Canvas>} - Annotated page
+   */
+  async renderPage(imagePath, elements) {
+    const image = await loadImage(imagePath);
+    const canvas = createCanvas(image.width, image.height);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(image, 0, 0);
+
+    ctx.lineWidth = this.lineWidth;
+    ctx.font = `${this.fontSize}px sans-serif`;
+    ctx.textBaseline = "top";
+
+    for (const element of elements) {
+      const [x1, y1, x2, y2] = element.bbox;
+      const color = this.labelColors[element.type] || this.defaultColor;
+
+      // Dashed boxes are kept on the page but excluded from sections
+      const excluded = element.boilerplate || element.toc || element.lowConfidence;
+      ctx.setLineDash(excluded ? [8, 6] : []);
+      ctx.strokeStyle = color;
+      ctx.strokeRect(x1, y1, x2 - x1, y2 - y1);
+
+      const tag = this._describeElement(element);
+      const tagWidth = ctx.measureText(tag).width + 8;
+      const tagHeight = this.fontSize + 6;
+      const tagY = y1 >= tagHeight ? y1 - tagHeight : y1;
+
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      ctx.fillRect(x1, tagY, tagWidth, tagHeight);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillText(tag, x1 + 4, tagY + 3);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Lay out page thumbnails in a grid
+   * @param {Array} pages - Rendered pages with pageNumber and path
+   * @returns {Promise<Canvas>} - Contact sheet
+   */
+  async renderContactSheet(pages) {
+    const captionHeight = this.fontSize + 8;
+    const thumbnails = [];
+    for (const page of pages) {
+      const image = await loadImage(page.path);
+      const scale = this.thumbnailWidth / image.width;
+      thumbnails.push({
+        image,
+        pageNumber: page.pageNumber,
+        height: Math.round(image.height * scale),
+      });
+    }
+
+    const columns = Math.min(this.contactSheetColumns, thumbnails.length);
+    const rows = Math.ceil(thumbnails.length / columns);
+    const cellHeight =
+      Math.max(...thumbnails.map((thumb) => thumb.height)) + captionHeight;
+
+    const canvas = createCanvas(columns * this.thumbnailWidth, rows * cellHeight);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = `${this.fontSize}px sans-serif`;
+    ctx.textBaseline = "top";
+
+    thumbnails.forEach((thumb, index) => {
+      const x = (index % columns) * this.thumbnailWidth;
+      const y = Math.floor(index / columns) * cellHeight;
+
+      ctx.fillStyle = "#000000";
+      ctx.fillText(`Page ${thumb.pageNumber}`, x + 4, y + 4);
+      ctx.drawImage(
+        thumb.image,
+        x,
+        y + captionHeight,
+        this.thumbnailWidth,
+        thumb.height
+      );
+    });
+
+    return canvas;
+  }
+
+  /**
+   * Build the tag drawn above an element's box
+   * @param {object} element - Page element
+   * @returns {string} - e.g. "#3 Text 0.92 §2"
+   */
+  _describeElement(element) {
+    const parts = [
+      `#${element.reading_order}`,
+      element.type,
+      Number(element.confidence).toFixed(2),
+    ];
+    if (element.sectionIndex) parts.push(`§${element.sectionIndex}`);
+    if (element.boilerplate) parts.push("boilerplate");
+    else if (element.toc) parts.push("toc");
+    else if (element.lowConfidence) parts.push("low-conf");
+    return parts.join(" ");
+  }
+}
+
+export default DebugRenderer;
@@ -1,37 +1,218 @@
 // document-analyzer.js - Document Structure Analysis and Text Extraction
 import fs from "fs-extra";
 import path from "path";
+import TableExtractor from "./table-extractor.js";
+import ReadingOrder from "./reading-order.js";
+import TextNormalizer from "./text-normalizer.js";
 
 export class DocumentAnalyzer {
   constructor(config = {}) {
     this.minTextLength = config.minTextLength || 10;
     this.sectionThreshold = config.sectionThreshold || 0.7; // Confidence threshold for section headers
     this.titleThreshold = config.titleThreshold || 0.8; // Confidence threshold for titles
+    this.boilerplateMinPageRatio = config.boilerplateMinPageRatio || 0.3; // Share of pages text must repeat on
+    this.boilerplatePositionTolerance =
+      config.boilerplatePositionTolerance || 0.05; // Normalized distance for "same position"
+    this.minOcrConfidence = config.minOcrConfidence ?? 0.5; // Mean word confidence below which OCR text is unreliable
+    this.lowConfidenceMode = config.lowConfidenceMode || "drop"; // "drop" or "flag" low-confidence OCR text
+    this.outlineMatchThreshold = config.outlineMatchThreshold || 0.8; // Bookmark/header title similarity
+    this.headingHeightTolerance = config.headingHeightTolerance || 0.15; // Relative box height difference within a heading size
+    this.headingIndentStep = config.headingIndentStep || 0.04; // Normalized indent that marks a deeper heading
+    this.maxHeadingLevel = config.maxHeadingLevel || 6;
+    this.fallbackSegmentation = config.fallbackSegmentation || "page"; // "page" or "document" when no headers exist
+    this.tocSearchPages = config.tocSearchPages || 10; // Leading pages searched for a table of contents
+    this.tocMinEntries = config.tocMinEntries || 3; // Entries ("Title ..... 12") a TOC page needs
+    this.tocMinEntryRatio = config.tocMinEntryRatio || 0.5; // Share of a page's lines that must be entries
+    this.minLayoutConfidence = config.minLayoutConfidence || 0.6; // Mean detection confidence of a sound page
+    this.poorPageScore = config.poorPageScore || 0.5; // Page quality below which a page counts as poor
+    this.rescanOcrConfidence = config.rescanOcrConfidence || 0.6; // Mean OCR confidence that calls for a re-scan
+    this.rescanFailedOcrRatio = config.rescanFailedOcrRatio || 0.2;
+    this.rescanGibberishRate = config.rescanGibberishRate || 0.25;
+    this.rescanPoorPageRatio = config.rescanPoorPageRatio || 0.3;
+    this.chunkSize = config.chunkSize || 512; // Chunk budget, in chunkUnit
+    this.chunkOverlap = config.chunkOverlap ?? 64; // Trailing text repeated at the start of the next chunk
+    this.chunkUnit = config.chunkUnit || "tokens"; // "tokens" (estimated) or "characters"
+    this.tableExtractor = new TableExtractor();
+    this.readingOrder = new ReadingOrder(config.readingOrder || {});
+    this.textNormalizer = new TextNormalizer(config.textNormalizer || {});
   }
 
   /**
    * Create hierarchical document structure from page results
    * @param {Array} pageResults - Results from PDF processor
+   * @param {object} [options] - { outline, formFields, annotations } from PDFStructureReader,
+   * plus the processor's document { language }
    * @returns {object} - Document structure and extracted text
    */
-  createDocumentStructure(pageResults) {
+  createDocumentStructure(pageResults, options = {}) {
+    const outline = options.outline || [];
     const structure = {
       title: null,
       sections: [],
+      sectionTree: [],
+      tables: [],
       pages: [],
+      outline,
+      formFields: [],
+      annotations: [],
+      toc: null,
       metadata: {
         totalElements: 0,
         textElements: 0,
         sectionHeaders: 0,
         titles: 0,
+        tables: 0,
+        boilerplateElements: 0,
+        lowConfidenceElements: 0,
+        failedOcrRegions: 0,
+        outlineSections: 0,
+        tocPages: 0,
+        tocEntries: 0,
+        tocSections: 0,
+        formFields: 0,
+        annotations: 0,
+        segmentation: "headings",
+        language: null,
+        ocrLanguages: [],
       },
     };
 
     let currentSection = null;
     let allText = "";
     let allDetections = [];
+    const elementSections = new Map(); // Page element -> section it falls under
+
+    // Running headers/footers and repeated text are kept on pages but flagged
+    const boilerplate = this._detectBoilerplate(pageResults);
+
+    // Table-of-contents pages stay out of sections; their entries stand in
+    // for bookmarks when the PDF has none
+    const toc = this._detectToc(pageResults, boilerplate);
+    const excluded = new Set([...boilerplate, ...toc.detections]);
+    const sectionOutline = outline.length > 0 ? outline : this._tocToOutline(toc);
+    if (toc.pages.length > 0) {
+      structure.toc = {
+        pages: toc.pages,
+        pageOffset: toc.pageOffset,
+        entries: toc.entries,
+      };
+      structure.metadata.tocPages = toc.pages.length;
+      structure.metadata.tocEntries = toc.entries.length;
+    }
+
+    // Bookmarks give exact titles and nesting; matched headers take them over,
+    // the rest open sections where their destination points
+    const outlineMatches = this._matchOutlineToDetections(
+      sectionOutline,
+      pageResults,
+      excluded
+    );
+    const matchedEntries = new Set(outlineMatches.values());
+    const pendingOutline = sectionOutline
+      .filter(
+        (entry) => entry.title && entry.page && !matchedEntries.has(entry)
+      )
+      .sort(
+        (a, b) => a.page - b.page || (a.top ?? 0) - (b.top ?? 0) || a.index - b.index
+      );
+    // Documents without any headers are segmented by page (or kept whole)
+    const hasHeadings =
+      pendingOutline.length > 0 ||
+      outlineMatches.size > 0 ||
+      pageResults.some((pageResult) =>
+        pageResult.detections.some(
+          (detection) =>
+            detection.label === "Section-header" &&
+            detection.confidence >= this.sectionThreshold &&
+            detection.extractedText &&
+            !excluded.has(detection)
+        )
+      );
+    if (!hasHeadings) structure.metadata.segmentation = this.fallbackSegmentation;
+
+    const sectionByOutlineIndex = new Map();
+    const sectionParents = new Map();
+    const outlineEntries = new Map(); // Section -> the bookmark/TOC entry it came from
+    let lastOutlineSection = null;
+
+    const startSection = (section, entry = null) => {
+      // Empty headings stay until the hierarchy shows whether they have subsections
+      if (currentSection) structure.sections.push(currentSection);
+      currentSection = section;
+      if (!section) return;
+
+      if (entry) {
+        outlineEntries.set(section, entry);
+        sectionByOutlineIndex.set(entry.index, section);
+        const parent = sectionByOutlineIndex.get(entry.parentIndex);
+        if (parent) sectionParents.set(section, parent);
+        lastOutlineSection = section;
+      } else if (lastOutlineSection) {
+        // Headers without a bookmark nest under the latest bookmarked section
+        section.level = lastOutlineSection.level + 1;
+        sectionParents.set(section, lastOutlineSection);
+      }
+    };
+
+    // Content with no section to go to opens a preamble (before the first
+    // header) or a fallback segment
+    const ensureSection = (page) => {
+      if (!hasHeadings && this.fallbackSegmentation === "page") {
+        if (currentSection && currentSection.page === page) return;
+        startSection(
+          this._createSection({
+            title: `Page ${page}`,
+            page,
+            confidence: 1,
+            bbox: null,
+            normalizedBbox: null,
+            level: 1,
+            source: "page",
+          })
+        );
+      } else if (!currentSection) {
+        startSection(
+          this._createSection({
+            title: hasHeadings ? "Preamble" : "Document",
+            page,
+            confidence: 1,
+            bbox: null,
+            normalizedBbox: null,
+            level: 1,
+            source: "preamble",
+          })
+        );
+      }
+    };
+
+    const openOutlineSections = (page, top) => {
+      while (
+        pendingOutline.length > 0 &&
+        (pendingOutline[0].page < page ||
+          (pendingOutline[0].page === page && (pendingOutline[0].top ?? 0) <= top))
+      ) {
+        const entry = pendingOutline.shift();
+        startSection(
+          this._createSection({
+            title: this._cleanText(entry.title),
+            page: entry.page,
+            confidence: 1,
+            bbox: null,
+            normalizedBbox: null,
+            level: entry.level,
+            source: entry.source || "outline",
+          }),
+          entry
+        );
+        console.log(
+          `📂 [Document Analyzer] New section from ${entry.source === "toc" ? "table of contents" : "bookmark"}: "${currentSection.title}" (Page ${entry.page})`
+        );
+      }
+    };
 
     for (const pageResult of pageResults) {
+      openOutlineSections(pageResult.pageNumber, 0);
+
       const pageContent = {
         pageNumber: pageResult.pageNumber,
         elements: [],
@@ -41,12 +222,11 @@ export class DocumentAnalyzer {
         },
       };
 
-      // Sort detections by reading order for proper text flow
-      const sortedDetections = [...pageResult.detections].sort((a, b) => {
-        const yDiff = a.center[1] - b.center[1];
-        if (Math.abs(yDiff) > 20) return yDiff;
-        return a.center[0] - b.center[0];
-      });
+      // Sort detections by layout reading order for proper text flow
+      const sortedDetections = this.readingOrder.sort(
+        pageResult.detections,
+        (detection) => detection.correctedBbox || detection.bbox
+      );
 
       for (const detection of sortedDetections) {
         const element = {
@@ -58,11 +238,28 @@ export class DocumentAnalyzer {
           reading_order: detection.reading_order,
           area: detection.area,
           center: detection.center,
+          boilerplate: boilerplate.has(detection),
+          toc: toc.detections.has(detection),
+          textSource: detection.textSource || null,
+          textConfidence: detection.textConfidence ?? null,
+          ocrStatus: detection.ocr ? detection.ocr.status : null,
+          words: detection.ocr ? detection.ocr.words : [],
+          lines: detection.ocr ? detection.ocr.lines : [],
+          lowConfidence: this._isLowConfidence(detection),
+          sectionIndex: null,
         };
 
         pageContent.elements.push(element);
         allDetections.push(detection);
 
+        // Bookmarks pointing above this element open their sections first
+        if (detection.normalizedBbox) {
+          openOutlineSections(
+            pageResult.pageNumber,
+            detection.normalizedBbox[1] + 0.01
+          );
+        }
+
         // Update metadata counters
         structure.metadata.totalElements++;
         if (detection.label === "Title") structure.metadata.titles++;
@@ -70,9 +267,58 @@ export class DocumentAnalyzer {
           structure.metadata.sectionHeaders++;
         if (["Text", "List-item"].includes(detection.label))
           structure.metadata.textElements++;
+        if (detection.label === "Table" && detection.table)
+          structure.metadata.tables++;
+        if (element.ocrStatus === "failed")
+          structure.metadata.failedOcrRegions++;
+        if (element.lowConfidence) structure.metadata.lowConfidenceElements++;
+
+        // Boilerplate stays out of sections, summaries and the search index
+        if (element.boilerplate) {
+          structure.metadata.boilerplateElements++;
+          continue;
+        }
+
+        // The table of contents repeats every heading and would match anything
+        if (element.toc) continue;
+
+        // Unreliable OCR text is either dropped here or flagged on the content
+        if (element.lowConfidence && this.lowConfidenceMode === "drop") {
+          continue;
+        }
 
         // Build hierarchical structure
-        if (
+        const outlineEntry = outlineMatches.get(detection);
+        if (outlineEntry) {
+          // A bookmarked Title still names the document
+          if (
+            detection.label === "Title" &&
+            !structure.title &&
+            detection.confidence >= this.titleThreshold &&
+            detection.extractedText
+          ) {
+            structure.title = this._cleanText(detection.extractedText);
+            console.log(
+              `📑 [Document Analyzer] Found document title: "${structure.title}"`
+            );
+          }
+          startSection(
+            this._createSection({
+              title: this._cleanText(outlineEntry.title),
+              page: pageResult.pageNumber,
+              confidence: detection.confidence,
+              bbox: detection.bbox,
+              normalizedBbox: detection.normalizedBbox,
+              level: outlineEntry.level,
+              source: `${outlineEntry.source || "outline"}+detection`,
+            }),
+            outlineEntry
+          );
+
+          console.log(
+            `📂 [Document Analyzer] New section: "${currentSection.title}" (Page ${pageResult.pageNumber}, ${outlineEntry.source === "toc" ? "in table of contents" : "bookmarked"})`
+          );
+        } else if (
           detection.label === "Title" &&
           !structure.title &&
           detection.confidence >= this.titleThreshold &&
@@ -87,100 +333,1086 @@ export class DocumentAnalyzer {
           detection.confidence >= this.sectionThreshold &&
           detection.extractedText
         ) {
-          // Finalize current section
-          if (currentSection && currentSection.content.length > 0) {
-            structure.sections.push(currentSection);
-          }
+          // Finalize current section and start a new one
+          startSection(
+            this._createSection({
+              title: this._cleanText(detection.extractedText),
+              page: pageResult.pageNumber,
+              confidence: detection.confidence,
+              bbox: detection.bbox,
+              normalizedBbox: detection.normalizedBbox,
+              level: null,
+              source: "detection",
+            })
+          );
+
+          console.log(
+            `📂 [Document Analyzer] New section: "${currentSection.title}" (Page ${pageResult.pageNumber})`
+          );
+        } else if (detection.label === "Table" && detection.table) {
+          ensureSection(pageResult.pageNumber);
+          const table = this._prepareTable(
+            detection.table,
+            structure.tables.length + 1,
+            pageResult.pageNumber,
+            currentSection
+          );
+          structure.tables.push(table);
+          element.tableIndex = table.index;
 
-          // Start new section
-          currentSection = {
-            title: this._cleanText(detection.extractedText),
+          const tableText = this.tableExtractor.toText(table);
+          currentSection.content.push({
+            type: "Table",
+            text: tableText,
             page: pageResult.pageNumber,
             confidence: detection.confidence,
+            textConfidence: element.textConfidence,
+            lowConfidence: element.lowConfidence,
             bbox: detection.bbox,
-            content: [],
-            metadata: {
-              wordCount: 0,
-              elementCount: 0,
-            },
-          };
+            table,
+          });
 
-          console.log(
-            `📂 [Document Analyzer] New section: "${currentSection.title}" (Page ${pageResult.pageNumber})`
-          );
+          currentSection.metadata.wordCount += tableText.split(/\s+/).length;
+          currentSection.metadata.elementCount++;
         } else if (
-          currentSection &&
           ["Text", "List-item", "Caption"].includes(detection.label) &&
           detection.extractedText
         ) {
           const cleanText = this._cleanText(detection.extractedText);
           if (cleanText.length >= this.minTextLength) {
+            ensureSection(pageResult.pageNumber);
             currentSection.content.push({
               type: detection.label,
               text: cleanText,
               page: pageResult.pageNumber,
               confidence: detection.confidence,
+              textConfidence: element.textConfidence,
+              lowConfidence: element.lowConfidence,
               bbox: detection.bbox,
             });
 
-            currentSection.metadata.wordCount += cleanText.split(/\s+/).length;
-            currentSection.metadata.elementCount++;
+            currentSection.metadata.wordCount += cleanText.split(/\s+/).length;
+            currentSection.metadata.elementCount++;
+          }
+        }
+
+        if (currentSection) elementSections.set(element, currentSection);
+
+        // Accumulate all meaningful text for summarization
+        if (
+          detection.extractedText &&
+          detection.extractedText.length >= this.minTextLength &&
+          !element.lowConfidence
+        ) {
+          const cleanText = this._cleanText(detection.extractedText);
+          if (cleanText.length >= this.minTextLength) {
+            allText += cleanText + "\n";
+          }
+        }
+      }
+
+      openOutlineSections(pageResult.pageNumber, Infinity);
+      structure.pages.push(pageContent);
+    }
+
+    // Bookmarks pointing past the processed pages, then the final section
+    openOutlineSections(Infinity, Infinity);
+    startSection(null);
+
+    // Post-process structure; sections left with no content and no
+    // subsections (bookmarks included) are dropped here
+    this._postProcessStructure(structure, sectionParents);
+    for (const section of structure.sections) {
+      const entry = outlineEntries.get(section);
+      if (!entry) continue;
+      if (entry.source === "toc") structure.metadata.tocSections++;
+      else structure.metadata.outlineSections++;
+    }
+    structure.sectionTree = this._buildSectionTree(structure.sections);
+
+    // Record final section indices on page elements (dropped sections stay null)
+    for (const [element, section] of elementSections) {
+      element.sectionIndex = section.index || null;
+    }
+
+    if (structure.toc) this._linkTocEntries(structure.toc.entries, structure.sections);
+    this._assignFormFields(structure, options.formFields || []);
+    this._linkAnnotations(structure, options.annotations || [], pageResults);
+
+    // The normalized text covers OCR-only documents the processor could not
+    // classify; the processor's text-layer guess is the fallback
+    const detected = this.textNormalizer.detectLanguage(allText);
+    const processorLanguage = options.language || {};
+    structure.metadata.language = detected.language
+      ? { code: detected.language, script: detected.script, confidence: detected.confidence }
+      : {
+          code: processorLanguage.code || null,
+          script: detected.script,
+          confidence: processorLanguage.confidence || 0,
+        };
+    structure.metadata.ocrLanguages = [
+      ...new Set(pageResults.map((page) => page.ocrLanguage).filter(Boolean)),
+    ];
+
+    console.log(
+      `✅ [Document Analyzer] Structure created: ${structure.sections.length} sections, ${structure.metadata.totalElements} elements`
+    );
+
+    return {
+      structure,
+      allText: allText.trim(),
+      allDetections,
+      statistics: this._generateStatistics(structure, allText),
+    };
+  }
+
+  /**
+   * Create an empty section
+   * @param {object} fields - title, page, confidence, bbox, normalizedBbox, level, source
+   * @returns {object} - Section
+   */
+  _createSection({ title, page, confidence, bbox, normalizedBbox, level, source }) {
+    return {
+      title,
+      page,
+      confidence,
+      bbox,
+      normalizedBbox,
+      level,
+      number: this._parseHeadingNumber(title)?.number || null,
+      parentIndex: null,
+      source,
+      content: [],
+      formFields: [],
+      links: [], // Outbound URLs
+      crossReferences: [], // Internal links to other pages/sections
+      comments: [], // Sticky notes and highlights
+      metadata: {
+        wordCount: 0,
+        elementCount: 0,
+      },
+    };
+  }
+
+  /**
+   * Check whether a section was created without a header (preamble or
+   * fallback segment), so its title is a placeholder
+   * @param {object} section - Section
+   * @returns {boolean} - True for preamble and fallback sections
+   */
+  _isSyntheticSection(section) {
+    return ["preamble", "page"].includes(section.source);
+  }
+
+  /**
+   * Parse a heading's numbering prefix
+   * @param {string} title - Heading text
+   * @returns {object|null} - { style, depth, number } or null if unnumbered
+   */
+  _parseHeadingNumber(title) {
+    let match = title.match(/^\s*(\d+(?:\.\d+)*)\.?(?=\s|$)/);
+    // "2024 Annual Report" starts with a year, not a heading number
+    if (match && !match[1].includes(".") && parseInt(match[1], 10) >= 1000) {
+      return null;
+    }
+    if (match) {
+      return {
+        style: "decimal",
+        depth: match[1].split(".").length,
+        number: match[1],
+      };
+    }
+
+    // Single I/V/X read as Roman numerals, other single capitals as letters
+    match = title.match(/^\s*([IVXLC]{2,}|[IVX])[.)]\s/);
+    if (match) return { style: "roman", depth: 1, number: match[1] };
+
+    match = title.match(/^\s*([A-Z])[.)]\s/);
+    if (match) return { style: "letter", depth: 1, number: match[1] };
+
+    match = title.match(/^\s*\(?([a-z])[.)]\s/);
+    if (match) return { style: "lower-letter", depth: 1, number: match[1] };
+
+    return null;
+  }
+
+  /**
+   * Assign levels and parents to detected headings. Numbering styles rank in
+   * order of first appearance (decimal depth adds levels); unnumbered headings
+   * take the level numbered headings of the same box height have, else their
+   * size rank, one deeper when indented
+   * @param {Array} sections - Sections without a level, in document order
+   */
+  _inferHeadingLevels(sections) {
+    if (sections.length === 0) return;
+
+    const styleRanks = [];
+    const numbering = new Map();
+    for (const section of sections) {
+      const parsed = this._parseHeadingNumber(section.title);
+      numbering.set(section, parsed);
+      if (parsed && !styleRanks.includes(parsed.style)) {
+        styleRanks.push(parsed.style);
+      }
+    }
+
+    // Group heading box heights into size classes, largest first
+    const heightOf = (section) =>
+      section.bbox ? section.bbox[3] - section.bbox[1] : null;
+    const heights = sections
+      .map(heightOf)
+      .filter((height) => height !== null)
+      .sort((a, b) => b - a);
+    const sizeClasses = [];
+    for (const height of heights) {
+      const last = sizeClasses[sizeClasses.length - 1];
+      if (last && (last.min - height) / last.min <= this.headingHeightTolerance) {
+        last.min = height;
+      } else {
+        sizeClasses.push({ max: height, min: height, levels: [] });
+      }
+    }
+    const sizeClassOf = (section) => {
+      const height = heightOf(section);
+      if (height === null) return null;
+      return sizeClasses.find(
+        (sizeClass) => height >= sizeClass.min && height <= sizeClass.max
+      );
+    };
+
+    for (const section of sections) {
+      const parsed = numbering.get(section);
+      if (!parsed) continue;
+      section.level = Math.min(
+        this.maxHeadingLevel,
+        styleRanks.indexOf(parsed.style) + parsed.depth
+      );
+      const sizeClass = sizeClassOf(section);
+      if (sizeClass) sizeClass.levels.push(section.level);
+    }
+
+    const leftEdges = sections
+      .filter((section) => section.normalizedBbox)
+      .map((section) => section.normalizedBbox[0]);
+    const marginLeft = leftEdges.length > 0 ? Math.min(...leftEdges) : 0;
+
+    for (const section of sections) {
+      if (section.level !== null) continue;
+
+      const sizeClass = sizeClassOf(section);
+      let level = 1;
+      if (sizeClass && sizeClass.levels.length > 0) {
+        level = this._mostCommon(sizeClass.levels);
+      } else if (sizeClass) {
+        level = sizeClasses.indexOf(sizeClass) + 1;
+        if (
+          section.normalizedBbox &&
+          section.normalizedBbox[0] - marginLeft >= this.headingIndentStep
+        ) {
+          level++;
+        }
+      }
+      section.level = Math.min(this.maxHeadingLevel, level);
+    }
+
+    // Parent: the closest earlier section one or more levels up
+    const stack = [];
+    for (const section of sections) {
+      while (stack.length > 0 && stack[stack.length - 1].level >= section.level) {
+        stack.pop();
+      }
+      if (section.parentIndex === null && stack.length > 0) {
+        section.parentIndex = stack[stack.length - 1].index;
+      }
+      stack.push(section);
+    }
+  }
+
+  /**
+   * Most frequent value in a list (first seen wins ties)
+   * @param {Array} values - Values to count
+   * @returns {any} - Most frequent value
+   */
+  _mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    let best = values[0];
+    for (const [value, count] of counts) {
+      if (count > counts.get(best)) best = value;
+    }
+    return best;
+  }
+
+  /**
+   * Nest sections under their parents; the flat list stays in structure.sections
+   * @param {Array} sections - Sections with index, level and parentIndex
+   * @returns {Array} - Root nodes { index, title, level, page, children }
+   */
+  _buildSectionTree(sections) {
+    const nodes = new Map(
+      sections.map((section) => [
+        section.index,
+        {
+          index: section.index,
+          title: section.title,
+          level: section.level,
+          page: section.page,
+          children: [],
+        },
+      ])
+    );
+
+    const roots = [];
+    for (const section of sections) {
+      const node = nodes.get(section.index);
+      const parent = nodes.get(section.parentIndex);
+      if (parent) parent.children.push(node);
+      else roots.push(node);
+    }
+    return roots;
+  }
+
+  /**
+   * Attach form fields to the section they sit in
+   * @param {object} structure - Document structure with section indices on elements
+   * @param {Array} formFields - Fields from PDFStructureReader with pixel bboxes
+   */
+  _assignFormFields(structure, formFields) {
+    const sectionsByIndex = new Map(
+      structure.sections.map((section) => [section.index, section])
+    );
+
+    for (const field of formFields) {
+      const placed = {
+        ...field,
+        text: this._describeFormField(field),
+        sectionIndex: field.page
+          ? this._findSectionAt(structure, field.page, field.bbox)
+          : null,
+      };
+      structure.formFields.push(placed);
+      structure.metadata.formFields++;
+
+      const section = sectionsByIndex.get(placed.sectionIndex);
+      if (section) section.formFields.push(placed);
+    }
+  }
+
+  /**
+   * Link annotations to the nearest element and list them on their section
+   * @param {object} structure - Document structure with section indices on elements
+   * @param {Array} annotations - Annotations from PDFStructureReader with pixel bboxes
+   * @param {Array} pageResults - Results from PDF processor (page sizes)
+   */
+  _linkAnnotations(structure, annotations, pageResults) {
+    const sectionsByIndex = new Map(
+      structure.sections.map((section) => [section.index, section])
+    );
+    const pageHeights = new Map(
+      pageResults.map((pageResult) => [
+        pageResult.pageNumber,
+        pageResult.imageHeight,
+      ])
+    );
+
+    for (const annotation of annotations) {
+      const element = annotation.bbox
+        ? this._findNearestElement(structure, annotation.page, annotation.bbox)
+        : null;
+
+      const linked = {
+        ...annotation,
+        element: element
+          ? {
+              page: annotation.page,
+              reading_order: element.reading_order,
+              type: element.type,
+            }
+          : null,
+        sectionIndex:
+          element && element.sectionIndex !== null
+            ? element.sectionIndex
+            : this._findSectionAt(structure, annotation.page, annotation.bbox),
+      };
+
+      // Internal links resolve to the section at their destination
+      if (linked.kind === "link" && linked.targetPage) {
+        const height = pageHeights.get(linked.targetPage);
+        const targetBox =
+          linked.targetTop !== null && height
+            ? [
+                0,
+                linked.targetTop * height,
+                Number.MAX_SAFE_INTEGER,
+                (linked.targetTop + 0.04) * height,
+              ]
+            : null;
+        linked.targetSectionIndex = this._findSectionAt(
+          structure,
+          linked.targetPage,
+          targetBox
+        );
+      }
+
+      const annotationIndex = structure.annotations.length;
+      structure.annotations.push(linked);
+      structure.metadata.annotations++;
+      if (element) {
+        if (!element.annotations) element.annotations = [];
+        element.annotations.push(annotationIndex);
+      }
+
+      const section = sectionsByIndex.get(linked.sectionIndex);
+      if (!section) continue;
+
+      if (linked.kind === "link" && linked.url) {
+        section.links.push({
+          url: linked.url,
+          text: linked.coveredText || null,
+          page: linked.page,
+        });
+      } else if (linked.kind === "link") {
+        section.crossReferences.push({
+          targetPage: linked.targetPage,
+          targetSectionIndex: linked.targetSectionIndex,
+          text: linked.coveredText || null,
+          page: linked.page,
+        });
+      } else {
+        section.comments.push({
+          kind: linked.kind,
+          subtype: linked.subtype,
+          contents: linked.contents,
+          author: linked.author,
+          text: linked.coveredText || null,
+          page: linked.page,
+        });
+      }
+    }
+  }
+
+  /**
+   * Find the page element an annotation belongs to: the one it overlaps
+   * most, else the closest by center distance
+   * @param {object} structure - Document structure
+   * @param {number} page - Page number
+   * @param {Array} bbox - [x1, y1, x2, y2] in page pixels
+   * @returns {object|null} - Page element
+   */
+  _findNearestElement(structure, page, bbox) {
+    const pageContent = structure.pages.find((p) => p.pageNumber === page);
+    if (!pageContent || pageContent.elements.length === 0) return null;
+
+    const center = (box) => [(box[0] + box[2]) / 2, (box[1] + box[3]) / 2];
+    const [cx, cy] = center(bbox);
+
+    let best = null;
+    for (const element of pageContent.elements) {
+      const overlapWidth =
+        Math.min(bbox[2], element.bbox[2]) - Math.max(bbox[0], element.bbox[0]);
+      const overlapHeight =
+        Math.min(bbox[3], element.bbox[3]) - Math.max(bbox[1], element.bbox[1]);
+      const overlap = Math.max(0, overlapWidth) * Math.max(0, overlapHeight);
+      const [ex, ey] = center(element.bbox);
+      const distance = Math.hypot(ex - cx, ey - cy);
+
+      if (
+        !best ||
+        overlap > best.overlap ||
+        (overlap === best.overlap && distance < best.distance)
+      ) {
+        best = { element, overlap, distance };
+      }
+    }
+
+    return best.element;
+  }
+
+  /**
+   * Find the section a page position falls under: the closest sectioned
+   * element above it (same column preferred), else the section running into the page
+   * @param {object} structure - Document structure with section indices on elements
+   * @param {number} page - Page number
+   * @param {Array|null} bbox - [x1, y1, x2, y2] in page pixels
+   * @returns {number|null} - Section index
+   */
+  _findSectionAt(structure, page, bbox) {
+    let carriedIndex = null;
+    let best = null;
+
+    for (const pageContent of structure.pages) {
+      for (const element of pageContent.elements) {
+        if (element.sectionIndex === null) continue;
+
+        if (pageContent.pageNumber < page) {
+          carriedIndex = element.sectionIndex;
+          continue;
+        }
+        if (pageContent.pageNumber !== page || !bbox) continue;
+
+        const centerY = (bbox[1] + bbox[3]) / 2;
+        if (element.bbox[1] > centerY) continue;
+
+        const sameColumn = element.bbox[0] < bbox[2] && element.bbox[2] > bbox[0];
+        if (
+          !best ||
+          (sameColumn && !best.sameColumn) ||
+          (sameColumn === best.sameColumn && element.bbox[1] > best.element.bbox[1])
+        ) {
+          best = { element, sameColumn };
+        }
+      }
+    }
+
+    return best ? best.element.sectionIndex : carriedIndex;
+  }
+
+  /**
+   * Describe a form field as searchable text
+   * @param {object} field - Form field
+   * @returns {string} - e.g. "Employee name (text field, required). Options: ..."
+   */
+  _describeFormField(field) {
+    const label =
+      field.label ||
+      field.name
+        .split(".")
+        .pop()
+        .replace(/\[\d+\]/g, "")
+        .replace(/([a-z])([A-Z])/g, "$1 $2")
+        .replace(/[_-]+/g, " ")
+        .trim()
+        .toLowerCase();
+
+    let text = `${label} (${field.type} field${field.required ? ", required" : ""})`;
+    if (field.options && field.options.length > 0) {
+      text += `. Options: ${field.options.join(", ")}`;
+    }
+    const value = Array.isArray(field.value) ? field.value.join(", ") : field.value;
+    if (typeof value === "string" && value.length > 0) {
+      text += `. Value: ${value}`;
+    } else if (value === true) {
+      text += ". Checked";
+    }
+    return text;
+  }
+
+  /**
+   * Pair bookmarks with the detected heading they point at
+   * @param {Array} outline - Bookmarks from PDFStructureReader
+   * @param {Array} pageResults - Results from PDF processor
+   * @param {Set} boilerplate - Detections flagged as boilerplate
+   * @returns {Map} - Detection -> outline entry
+   */
+  _matchOutlineToDetections(outline, pageResults, boilerplate) {
+    const matches = new Map();
+    const pagesByNumber = new Map(
+      pageResults.map((pageResult) => [pageResult.pageNumber, pageResult])
+    );
+
+    for (const entry of outline) {
+      const pageResult = pagesByNumber.get(entry.page);
+      if (!entry.title || !pageResult) continue;
+
+      const target = this._normalizeHeading(entry.title);
+      const entryNumber = this._parseHeadingNumber(entry.title);
+      let bestDetection = null;
+      let bestScore = this.outlineMatchThreshold;
+      for (const detection of pageResult.detections) {
+        if (
+          matches.has(detection) ||
+          boilerplate.has(detection) ||
+          !["Section-header", "Title", "Text", "List-item"].includes(
+            detection.label
+          )
+        ) {
+          continue;
+        }
+
+        let score = this._headingSimilarity(
+          target,
+          this._normalizeHeading(detection.extractedText || "")
+        );
+        // A header with the same number is the entry even if OCR garbled its words
+        const detectionNumber = this._parseHeadingNumber(
+          detection.extractedText || ""
+        );
+        if (
+          detection.label === "Section-header" &&
+          entryNumber &&
+          detectionNumber &&
+          entryNumber.number === detectionNumber.number
+        ) {
+          score = Math.max(score, this.outlineMatchThreshold);
+        }
+        // Prefer detected headers over body text on ties
+        if (
+          score > bestScore ||
+          (score === bestScore &&
+            (!bestDetection || detection.label === "Section-header"))
+        ) {
+          bestScore = score;
+          bestDetection = detection;
+        }
+      }
+
+      if (bestDetection) matches.set(bestDetection, entry);
+    }
+
+    return matches;
+  }
+
+  /**
+   * Normalize a heading for comparison: lowercase, no numbering or punctuation
+   * @param {string} text - Heading text
+   * @returns {string} - Normalized heading
+   */
+  _normalizeHeading(text) {
+    return text
+      .toLowerCase()
+      .replace(/^\s*((\d+\.)*\d+\.?|[ivxlc]+\.)\s+/, "")
+      .replace(/[^\p{L}\p{N}]+/gu, " ")
+      .trim();
+  }
+
+  /**
+   * Token overlap (Dice coefficient) between two normalized headings
+   * @param {string} a - First heading
+   * @param {string} b - Second heading
+   * @returns {number} - Similarity between 0 and 1
+   */
+  _headingSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const tokensA = new Set(a.split(" "));
+    const tokensB = new Set(b.split(" "));
+    const shared = [...tokensA].filter((token) => tokensB.has(token)).length;
+    return (2 * shared) / (tokensA.size + tokensB.size);
+  }
+
+  /**
+   * Check whether an element's OCR text is too unreliable to use
+   * @param {object} detection - Detection from PDF processor
+   * @returns {boolean} - True if the OCR confidence is below the threshold
+   */
+  _isLowConfidence(detection) {
+    return (
+      detection.textSource === "ocr" &&
+      typeof detection.textConfidence === "number" &&
+      detection.textConfidence < this.minOcrConfidence
+    );
+  }
+
+  /**
+   * Find page headers/footers, page numbers and text repeated at similar
+   * positions across pages
+   * @param {Array} pageResults - Results from PDF processor
+   * @returns {Set} - Detections considered boilerplate
+   */
+  _detectBoilerplate(pageResults) {
+    const boilerplate = new Set();
+    const occurrencesByText = new Map();
+    const pageNumberPattern =
+      /^(page\s*)?[-–(]?\s*(\d+|[ivxlcdm]+)\s*[-–)]?(\s*(of|\/)\s*\d+)?$/i;
+    const pageCounterPattern = /\bpage\b|\d+\s*(of|\/)\s*\d+/i;
+
+    for (const pageResult of pageResults) {
+      for (const detection of pageResult.detections) {
+        if (["Page-header", "Page-footer"].includes(detection.label)) {
+          boilerplate.add(detection);
+          continue;
+        }
+
+        const text = (detection.extractedText || "").trim();
+        if (!text || !detection.normalizedBbox) continue;
+
+        const [x1, y1, x2, y2] = detection.normalizedBbox;
+        const center = [(x1 + x2) / 2, (y1 + y2) / 2];
+
+        // Bare page numbers in the top or bottom margin
+        if (
+          pageNumberPattern.test(text) &&
+          (center[1] < 0.1 || center[1] > 0.9)
+        ) {
+          boilerplate.add(detection);
+          continue;
+        }
+
+        // Group by text; page counters ("Page 3 of 40") repeat with digits masked
+        let key = text.toLowerCase().replace(/\s+/g, " ");
+        if (key.length <= 40 && pageCounterPattern.test(key)) {
+          key = key.replace(/\d+/g, "#");
+        }
+        if (!occurrencesByText.has(key)) occurrencesByText.set(key, []);
+        occurrencesByText.get(key).push({
+          detection,
+          page: pageResult.pageNumber,
+          center,
+        });
+      }
+    }
+
+    const minPages = Math.max(
+      2,
+      Math.ceil(pageResults.length * this.boilerplateMinPageRatio)
+    );
+    const tolerance = this.boilerplatePositionTolerance;
+
+    for (const occurrences of occurrencesByText.values()) {
+      if (occurrences.length < minPages) continue;
+
+      for (const occurrence of occurrences) {
+        const pages = new Set(
+          occurrences
+            .filter(
+              (other) =>
+                Math.abs(other.center[0] - occurrence.center[0]) <= tolerance &&
+                Math.abs(other.center[1] - occurrence.center[1]) <= tolerance
+            )
+            .map((other) => other.page)
+        );
+
+        if (pages.size >= minPages) {
+          boilerplate.add(occurrence.detection);
+        }
+      }
+    }
+
+    if (boilerplate.size > 0) {
+      console.log(
+        `🧹 [Document Analyzer] Flagged ${boilerplate.size} boilerplate elements (headers, footers, repeated text)`
+      );
+    }
+
+    return boilerplate;
+  }
+
+  /**
+   * Find table-of-contents pages among the leading pages and parse their
+   * entries; printed page numbers are mapped to PDF pages by the offset most
+   * entries agree on with the detected headings. A page counts only with a
+   * "Contents" heading or dot-leader entries, and unless it has the heading
+   * its entries must name headings found elsewhere
+   * @param {Array} pageResults - Results from PDF processor
+   * @param {Set} boilerplate - Detections flagged as boilerplate
+   * @returns {object} - { pages, pageOffset, matchedEntries, entries, detections }
+   */
+  _detectToc(pageResults, boilerplate) {
+    const toc = {
+      pages: [],
+      pageOffset: 0,
+      matchedEntries: 0,
+      entries: [],
+      detections: new Set(),
+    };
+    const tocTitlePattern =
+      /^(table of )?contents?$|^inhalt(sverzeichnis)?$|^sommaire$|^table des mati[eè]res$|^[ií]ndice$|^contenidos?$/i;
+
+    const tocPages = [];
+    for (const pageResult of pageResults.slice(0, this.tocSearchPages)) {
+      const candidates = pageResult.detections.filter(
+        (detection) =>
+          detection.extractedText &&
+          detection.label !== "Picture" &&
+          !boilerplate.has(detection)
+      );
+      const left = Math.min(
+        ...candidates.map((detection) =>
+          detection.normalizedBbox ? detection.normalizedBbox[0] : 1
+        )
+      );
+
+      let lineCount = 0;
+      let hasTocTitle = false;
+      const entries = [];
+      for (const detection of candidates) {
+        // Tables come through as "cell | cell" rows
+        const lines = detection.extractedText.replace(/\s*\|\s*/g, " ").split("\n");
+        for (const line of lines) {
+          const text = line.trim();
+          if (!text) continue;
+          lineCount++;
+
+          if (tocTitlePattern.test(text)) {
+            hasTocTitle = true;
+            continue;
+          }
+          const entry = this._parseTocLine(text);
+          if (entry) {
+            const indent = detection.normalizedBbox
+              ? detection.normalizedBbox[0] - left
+              : 0;
+            entries.push({ ...entry, indent });
           }
         }
+      }
 
-        // Accumulate all meaningful text for summarization
+      // Lines merely ending in a number ("Widget 12") need leaders to count
+      const leaderEntries = entries.filter((entry) => entry.leader).length;
+      const isToc =
+        (leaderEntries >= this.tocMinEntries &&
+          entries.length / lineCount >= this.tocMinEntryRatio) ||
+        (hasTocTitle && entries.length >= 2);
+      if (isToc) tocPages.push({ pageResult, candidates, entries, hasTocTitle });
+    }
+
+    if (tocPages.length === 0) return toc;
+
+    // Printed page numbers rarely equal PDF page numbers (covers, front matter)
+    const candidatePages = tocPages.map(({ pageResult }) => pageResult.pageNumber);
+    const headings = pageResults
+      .filter((pageResult) => !candidatePages.includes(pageResult.pageNumber))
+      .flatMap((pageResult) =>
+        pageResult.detections
+          .filter(
+            (detection) =>
+              ["Section-header", "Title"].includes(detection.label) &&
+              detection.extractedText &&
+              !boilerplate.has(detection)
+          )
+          .map((detection) => ({
+            page: pageResult.pageNumber,
+            text: this._normalizeHeading(detection.extractedText),
+          }))
+      );
+    const headingPages = (title) => {
+      const target = this._normalizeHeading(title);
+      return headings
+        .filter(
+          (heading) =>
+            this._headingSimilarity(target, heading.text) >=
+            this.outlineMatchThreshold
+        )
+        .map((heading) => heading.page);
+    };
+
+    for (const { pageResult, candidates, entries, hasTocTitle } of tocPages) {
+      // Without a "Contents" heading, entries must point at real headings
+      // before the page's content is taken out of the document
+      const matched = entries.filter(
+        (entry) => headingPages(entry.title).length > 0
+      ).length;
+      if (!hasTocTitle && matched < Math.min(2, entries.length)) continue;
+
+      toc.pages.push(pageResult.pageNumber);
+      for (const detection of candidates) {
+        // A document title sharing the page is not part of the TOC
         if (
-          detection.extractedText &&
-          detection.extractedText.length >= this.minTextLength &&
-          !detection.extractedText.includes("OCR not available") &&
-          !detection.extractedText.includes("extraction failed")
+          detection.label !== "Title" ||
+          tocTitlePattern.test(detection.extractedText.trim())
         ) {
-          const cleanText = this._cleanText(detection.extractedText);
-          if (cleanText.length >= this.minTextLength) {
-            allText += cleanText + "\n";
-          }
+          toc.detections.add(detection);
         }
       }
 
-      structure.pages.push(pageContent);
+      // Numbering gives the level, otherwise indentation does
+      for (const entry of entries) {
+        const numbering = this._parseHeadingNumber(entry.title);
+        const level = numbering && numbering.style === "decimal"
+          ? numbering.depth
+          : 1 + Math.round(entry.indent / this.headingIndentStep);
+        toc.entries.push({
+          index: toc.entries.length + 1,
+          title: this._cleanText(entry.title),
+          level: Math.min(level, this.maxHeadingLevel),
+          printedPage: entry.printedPage,
+          page: null,
+          tocPage: pageResult.pageNumber,
+          sectionIndex: null,
+        });
+      }
     }
 
-    // Add final section if exists
-    if (currentSection && currentSection.content.length > 0) {
-      structure.sections.push(currentSection);
+    if (toc.pages.length === 0) return toc;
+
+    const offsets = [];
+    for (const entry of toc.entries) {
+      if (entry.printedPage === null) continue;
+      for (const page of headingPages(entry.title)) {
+        offsets.push(page - entry.printedPage);
+      }
     }
 
-    // Post-process structure
-    this._postProcessStructure(structure);
+    toc.matchedEntries = offsets.length;
+    toc.pageOffset = offsets.length > 0 ? this._mostCommon(offsets) : 0;
+    const lastPage = Math.max(...pageResults.map((pageResult) => pageResult.pageNumber));
+    for (const entry of toc.entries) {
+      if (entry.printedPage === null) continue;
+      const page = entry.printedPage + toc.pageOffset;
+      entry.page = page >= 1 && page <= lastPage ? page : null;
+    }
 
     console.log(
-      `✅ [Document Analyzer] Structure created: ${structure.sections.length} sections, ${structure.metadata.totalElements} elements`
+      `📑 [Document Analyzer] Table of contents on page(s) ${toc.pages.join(", ")}: ${toc.entries.length} entries, page offset ${toc.pageOffset}`
+    );
+    return toc;
+  }
+
+  /**
+   * Parse one table-of-contents line ("2.1 Scope ........ 14")
+   * @param {string} text - Line text
+   * @returns {object|null} - { title, printedPage, leader } or null if not an
+   * entry; printedPage is null for roman-numbered front matter, leader tells
+   * whether dots or a similar leader separate title and page
+   */
+  _parseTocLine(text) {
+    const match = text.match(
+      /^(.*?\p{L}.*?)(\s*[.·•…_-]{2,}\s*|\s+)(\d{1,4}|[ivxlc]{1,6})$/u
     );
+    if (!match) return null;
 
+    const title = match[1].replace(/[\s.·…_]+$/u, "").trim();
+    if (!title) return null;
     return {
-      structure,
-      allText: allText.trim(),
-      allDetections,
-      statistics: this._generateStatistics(structure, allText),
+      title,
+      printedPage: /^\d+$/.test(match[3]) ? parseInt(match[3], 10) : null,
+      leader: /[.·•…_-]{2,}/u.test(match[2]),
+    };
+  }
+
+  /**
+   * Turn TOC entries into outline entries; only used once the page offset
+   * is backed by at least one heading found where the TOC says
+   * @param {object} toc - Result of _detectToc
+   * @returns {Array} - Outline entries with source "toc"
+   */
+  _tocToOutline(toc) {
+    if (toc.matchedEntries === 0) return [];
+
+    const outline = [];
+    const parents = []; // Latest entry per level
+    for (const entry of toc.entries) {
+      if (entry.page === null) continue;
+
+      parents.length = entry.level - 1;
+      const parent = [...parents].reverse().find(Boolean);
+      outline.push({
+        index: entry.index,
+        title: entry.title,
+        level: entry.level,
+        parentIndex: parent ? parent.index : null,
+        page: entry.page,
+        top: null,
+        source: "toc",
+      });
+      parents[entry.level - 1] = entry;
+    }
+    return outline;
+  }
+
+  /**
+   * Record which section each TOC entry points to; sections found in the
+   * TOC are marked as validated
+   * @param {Array} entries - TOC entries
+   * @param {Array} sections - Final sections
+   */
+  _linkTocEntries(entries, sections) {
+    for (const entry of entries) {
+      const target = this._normalizeHeading(entry.title);
+      let bestSection = null;
+      let bestScore = this.outlineMatchThreshold;
+      for (const section of sections) {
+        if (this._isSyntheticSection(section)) continue;
+        const score = this._headingSimilarity(
+          target,
+          this._normalizeHeading(section.title)
+        );
+        // Repeated titles ("Overview") resolve to the one on the listed page
+        if (
+          score > bestScore ||
+          (score === bestScore &&
+            (!bestSection || section.page === entry.page))
+        ) {
+          bestScore = score;
+          bestSection = section;
+        }
+      }
+
+      if (bestSection) {
+        entry.sectionIndex = bestSection.index;
+        bestSection.metadata.inToc = true;
+      }
+    }
+  }
+
+  /**
+   * Clean table cells and attach searchable row descriptions
+   * @param {object} table - Table structure from the PDF processor
+   * @param {number} index - Table index within the document
+   * @param {number} page - Page number
+   * @param {object|null} section - Section the table belongs to
+   * @returns {object} - Table ready for the document structure
+   */
+  _prepareTable(table, index, page, section) {
+    const rows = table.rows.map((row) => ({
+      ...row,
+      cells: row.cells.map((cell) => ({
+        ...cell,
+        text: this._cleanText(cell.text),
+      })),
+    }));
+    const prepared = {
+      ...table,
+      index,
+      page,
+      section: section ? section.title : null,
+      headers:
+        rows[0] && rows[0].isHeader
+          ? rows[0].cells.map((cell) => cell.text)
+          : [],
+      rows,
     };
+
+    prepared.rows.forEach((row) => {
+      row.text = this.tableExtractor.describeRow(prepared, row);
+    });
+
+    return prepared;
   }
 
   /**
    * Post-process document structure for better organization
    * @param {object} structure - Document structure to process
+   * @param {Map} [sectionParents] - Section -> parent section from bookmarks
    */
-  _postProcessStructure(structure) {
-    // Remove empty sections
-    structure.sections = structure.sections.filter(
-      (section) => section.content.length > 0 || section.title.length > 3
-    );
-
+  _postProcessStructure(structure, sectionParents = new Map()) {
     // Sort sections by page number
     structure.sections.sort((a, b) => a.page - b.page);
+    structure.sections.forEach((section, index) => {
+      section.index = index + 1;
+    });
+
+    // Link sections to their parents once indices are known
+    for (const [section, parent] of sectionParents) {
+      section.parentIndex = parent.index || null;
+    }
+
+    // Headers without bookmarks get levels from numbering, size and indentation
+    this._inferHeadingLevels(
+      structure.sections.filter((section) => section.level === null)
+    );
+
+    // Remove empty leaves; a heading whose subsections follow directly stays.
+    // Dropping a leaf can leave its parent an empty leaf, so repeat
+    const pruned = [];
+    let remaining = structure.sections;
+    for (;;) {
+      const parentIndices = new Set(remaining.map((section) => section.parentIndex));
+      const kept = remaining.filter(
+        (section) => section.content.length > 0 || parentIndices.has(section.index)
+      );
+      if (kept.length === remaining.length) break;
+      pruned.push(...remaining.filter((section) => !kept.includes(section)));
+      remaining = kept;
+    }
+    structure.sections = remaining;
 
     // If no title found, try to infer from first section or filename
-    if (!structure.title && structure.sections.length > 0) {
-      const firstSection = structure.sections[0];
+    const firstSection = structure.sections.find(
+      (section) => !this._isSyntheticSection(section)
+    );
+    if (!structure.title && firstSection) {
       if (firstSection.title.length > 5) {
         structure.title = firstSection.title;
         console.log(
@@ -189,10 +1421,15 @@ export class DocumentAnalyzer {
       }
     }
 
-    // Add section indices
-    structure.sections.forEach((section, index) => {
-      section.index = index + 1;
-    });
+    // Final indices; parents of kept sections are kept, so links only renumber
+    const finalIndices = new Map(
+      structure.sections.map((section, index) => [section.index, index + 1])
+    );
+    for (const section of structure.sections) {
+      section.index = finalIndices.get(section.index);
+      section.parentIndex = finalIndices.get(section.parentIndex) ?? null;
+    }
+    for (const section of pruned) section.index = null;
   }
 
   /**
@@ -206,6 +1443,14 @@ export class DocumentAnalyzer {
     const sentences = allText
       .split(/[.!?]+/)
       .filter((s) => s.trim().length > 0);
+    const ocrConfidences = structure.pages
+      .flatMap((page) => page.elements)
+      .filter(
+        (element) =>
+          element.textSource === "ocr" &&
+          typeof element.textConfidence === "number"
+      )
+      .map((element) => element.textConfidence);
 
     return {
       totalPages: structure.pages.length,
@@ -214,6 +1459,27 @@ export class DocumentAnalyzer {
       textElements: structure.metadata.textElements,
       sectionHeaders: structure.metadata.sectionHeaders,
       titles: structure.metadata.titles,
+      tables: structure.tables.length,
+      boilerplateElements: structure.metadata.boilerplateElements,
+      meanOcrConfidence:
+        ocrConfidences.length > 0
+          ? parseFloat(
+              (
+                ocrConfidences.reduce((sum, c) => sum + c, 0) /
+                ocrConfidences.length
+              ).toFixed(3)
+            )
+          : null,
+      lowConfidenceElements: structure.metadata.lowConfidenceElements,
+      failedOcrRegions: structure.metadata.failedOcrRegions,
+      outlineSections: structure.metadata.outlineSections,
+      tocPages: structure.metadata.tocPages,
+      tocEntries: structure.metadata.tocEntries,
+      tocSections: structure.metadata.tocSections,
+      formFields: structure.metadata.formFields,
+      annotations: structure.metadata.annotations,
+      language: structure.metadata.language,
+      ocrLanguages: structure.metadata.ocrLanguages,
       wordCount: words.length,
       sentenceCount: sentences.length,
       averageWordsPerSentence:
@@ -232,17 +1498,13 @@ export class DocumentAnalyzer {
   }
 
   /**
-   * Clean and normalize extracted text
+   * Clean and normalize extracted text, keeping accents, non-Latin scripts
+   * and symbols such as currency signs
    * @param {string} text - Raw text to clean
    * @returns {string} - Cleaned text
    */
   _cleanText(text) {
-    if (!text || typeof text !== "string") return "";
-
-    return text
-      .replace(/\s+/g, " ") // Normalize whitespace
-      .replace(/[^\w\s\-.,!?:;()]/g, "") // Remove special characters
-      .trim();
+    return this.textNormalizer.normalize(text);
   }
 
   /**
@@ -288,17 +1550,34 @@ export class DocumentAnalyzer {
 
     // Add sections and content
     for (const section of structure.sections) {
-      // Add section header
-      searchIndex.push({
-        type: "section-header",
-        text: section.title,
-        page: section.page,
-        section: section.index,
-        importance: 0.8,
-      });
+      // Add section header (placeholder titles are not searchable)
+      if (!this._isSyntheticSection(section)) {
+        searchIndex.push({
+          type: "section-header",
+          text: section.title,
+          page: section.page,
+          section: section.index,
+          importance: 0.8,
+        });
+      }
 
       // Add section content
       for (const content of section.content) {
+        if (content.type === "Table" && content.table) {
+          // Index table rows individually so single records can match
+          for (const row of this.tableExtractor.searchableRows(content.table)) {
+            searchIndex.push({
+              type: row.type,
+              text: row.text,
+              page: content.page,
+              section: section.index,
+              table: content.table.index,
+              importance: 0.7,
+            });
+          }
+          continue;
+        }
+
         searchIndex.push({
           type: content.type.toLowerCase(),
           text: content.text,
@@ -309,6 +1588,18 @@ export class DocumentAnalyzer {
       }
     }
 
+    // Add form fields so form-related tasks can match actual fields
+    for (const field of structure.formFields || []) {
+      searchIndex.push({
+        type: "form-field",
+        text: field.text,
+        page: field.page,
+        section: field.sectionIndex,
+        field: field.name,
+        importance: 0.7,
+      });
+    }
+
     return searchIndex;
   }
 
@@ -342,9 +1633,273 @@ export class DocumentAnalyzer {
     await fs.outputJSON(outputPath, documentData, { spaces: 2 });
     console.log(`💾 [Document Analyzer] Structure saved: ${outputPath}`);
 
+    if (structure.tables && structure.tables.length > 0) {
+      await this.saveTables(structure.tables, filename, outputDir);
+    }
+
+    await this.saveChunks(
+      this.createChunks(structure, filename),
+      filename,
+      outputDir
+    );
+
     return outputPath;
   }
 
+  /**
+   * Split sections into retrieval chunks within the size budget. Chunks never
+   * cross section boundaries; consecutive chunks of a section share up to
+   * chunkOverlap of trailing text
+   * @param {object} structure - Document structure
+   * @param {string} filename - Original filename
+   * @returns {Array} - Chunks with text and provenance (section path, pages, bboxes)
+   */
+  createChunks(structure, filename) {
+    const chunks = [];
+    const sectionsByIndex = new Map(
+      structure.sections.map((section) => [section.index, section])
+    );
+
+    for (const section of structure.sections) {
+      // Section path from the root down, e.g. ["2 Methods", "2.1 Data"]
+      const sectionPath = [];
+      for (
+        let current = section;
+        current;
+        current = sectionsByIndex.get(current.parentIndex)
+      ) {
+        if (!this._isSyntheticSection(current)) sectionPath.unshift(current.title);
+      }
+
+      const pieces = section.content.flatMap((content, contentIndex) =>
+        this._chunkPieces(content).map((piece) => ({ ...piece, contentIndex }))
+      );
+
+      let current = [];
+      let currentSize = 0;
+      let carried = 0; // Leading pieces of current repeated from the previous chunk
+      const flush = () => {
+        if (current.length === 0) return;
+        chunks.push(this._buildChunk(current, chunks.length, filename, section, sectionPath));
+
+        // Carry trailing pieces over as overlap
+        const overlap = [];
+        let overlapSize = 0;
+        for (let i = current.length - 1; i > 0; i--) {
+          if (overlapSize + current[i].size > this.chunkOverlap) break;
+          overlap.unshift(current[i]);
+          overlapSize += current[i].size;
+        }
+        current = overlap;
+        currentSize = overlapSize;
+        carried = overlap.length;
+      };
+
+      for (const piece of pieces) {
+        if (currentSize + piece.size > this.chunkSize) {
+          flush();
+          // Overlap that leaves no room for the next piece is dropped
+          if (currentSize + piece.size > this.chunkSize) {
+            current = [];
+            currentSize = 0;
+            carried = 0;
+          }
+        }
+        current.push(piece);
+        currentSize += piece.size;
+      }
+      // The remainder is only a chunk if it holds more than carried-over overlap
+      if (current.length > carried) flush();
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Break one content item into pieces no larger than the chunk budget:
+   * table rows, else sentences, else words, else characters
+   * @param {object} content - Section content item
+   * @returns {Array} - Pieces { text, size, page, bbox, lowConfidence }
+   */
+  _chunkPieces(content) {
+    const makePiece = (text, bbox) => ({
+      text,
+      size: this._measureText(text),
+      page: content.page,
+      bbox: bbox || null,
+      lowConfidence: Boolean(content.lowConfidence),
+    });
+
+    if (content.type === "Table" && content.table) {
+      return content.table.rows
+        .filter((row) => row.text && !row.isHeader)
+        .flatMap((row) =>
+          this._splitToBudget(row.text).map((text) => makePiece(text, row.bbox))
+        );
+    }
+
+    const sentences =
+      content.text.match(/[^.!?。！？]+[.!?。！？]+["'”’)\]]*|[^.!?。！？]+$/gu) || [];
+    return sentences
+      .map((sentence) => sentence.trim())
+      .filter(Boolean)
+      .flatMap((sentence) => this._splitToBudget(sentence))
+      .map((text) => makePiece(text, content.bbox));
+  }
+
+  /**
+   * Split text that exceeds the chunk budget at word, then character boundaries
+   * @param {string} text - Sentence or table row
+   * @returns {Array} - Strings within the budget
+   */
+  _splitToBudget(text) {
+    if (this._measureText(text) <= this.chunkSize) return [text];
+
+    const parts = [];
+    let part = "";
+    for (const word of text.split(/\s+/)) {
+      const candidate = part ? `${part} ${word}` : word;
+      if (this._measureText(candidate) <= this.chunkSize) {
+        part = candidate;
+        continue;
+      }
+      if (part) parts.push(part);
+      part = word;
+
+      // A single overlong word (or unspaced script) is cut by characters
+      while (this._measureText(part) > this.chunkSize) {
+        const characters = Array.from(part);
+        parts.push(characters.slice(0, this.chunkSize).join(""));
+        part = characters.slice(this.chunkSize).join("");
+      }
+    }
+    if (part) parts.push(part);
+    return parts;
+  }
+
+  /**
+   * Measure text in the configured chunk unit. Tokens are estimated as words,
+   * numbers, punctuation marks and single CJK characters
+   * @param {string} text - Text to measure
+   * @returns {number} - Size in characters or estimated tokens
+   */
+  _measureText(text) {
+    if (this.chunkUnit === "characters") return text.length;
+    return (
+      text.match(
+        /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{N}]/gu
+      ) || []
+    ).length;
+  }
+
+  /**
+   * Assemble a chunk from pieces of one section
+   * @param {Array} pieces - Pieces in reading order
+   * @param {number} chunkIndex - Position in the document's chunk list
+   * @param {string} filename - Original filename
+   * @param {object} section - Section the pieces belong to
+   * @param {Array} sectionPath - Section titles from the root down
+   * @returns {object} - Chunk
+   */
+  _buildChunk(pieces, chunkIndex, filename, section, sectionPath) {
+    // Pieces of one content item run on; separate items become paragraphs
+    let text = "";
+    pieces.forEach((piece, i) => {
+      if (i > 0) {
+        text += piece.contentIndex === pieces[i - 1].contentIndex ? " " : "\n\n";
+      }
+      text += piece.text;
+    });
+
+    const pages = [...new Set(pieces.map((piece) => piece.page))].sort(
+      (a, b) => a - b
+    );
+    const bboxes = [];
+    for (const piece of pieces) {
+      if (
+        piece.bbox &&
+        !bboxes.some(
+          (entry) => entry.page === piece.page && entry.bbox === piece.bbox
+        )
+      ) {
+        bboxes.push({ page: piece.page, bbox: piece.bbox });
+      }
+    }
+
+    return {
+      id: `${filename}#${chunkIndex + 1}`,
+      document: filename,
+      chunkIndex: chunkIndex + 1,
+      text,
+      size: this._measureText(text),
+      unit: this.chunkUnit,
+      sectionIndex: section.index,
+      sectionTitle: this._isSyntheticSection(section) ? null : section.title,
+      sectionPath,
+      pageStart: pages[0],
+      pageEnd: pages[pages.length - 1],
+      pages,
+      bboxes,
+      lowConfidence: pieces.some((piece) => piece.lowConfidence),
+    };
+  }
+
+  /**
+   * Save chunks as JSON Lines, one chunk per line
+   * @param {Array} chunks - Chunks from createChunks
+   * @param {string} filename - Original filename
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<string>} - Path to saved file
+   */
+  async saveChunks(chunks, filename, outputDir = "./parsed_jsons") {
+    const chunksPath = path.join(outputDir, `${filename}.chunks.jsonl`);
+    await fs.outputFile(
+      chunksPath,
+      chunks.map((chunk) => JSON.stringify(chunk)).join("\n") +
+        (chunks.length > 0 ? "\n" : "")
+    );
+    console.log(
+      `💾 [Document Analyzer] ${chunks.length} chunk(s) saved: ${chunksPath}`
+    );
+    return chunksPath;
+  }
+
+  /**
+   * Save extracted tables as CSV files and a combined Markdown file
+   * @param {Array} tables - Tables from the document structure
+   * @param {string} filename - Original filename
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<Array>} - Paths to saved files
+   */
+  async saveTables(tables, filename, outputDir = "./parsed_jsons") {
+    const savedPaths = [];
+    const markdownParts = [];
+
+    for (const table of tables) {
+      const csvPath = path.join(
+        outputDir,
+        `${filename}.table_${table.index}.csv`
+      );
+      await fs.outputFile(csvPath, this.tableExtractor.toCSV(table) + "\n");
+      savedPaths.push(csvPath);
+
+      markdownParts.push(
+        `## Table ${table.index} (page ${table.page})` +
+          (table.section ? ` - ${table.section}` : "") +
+          `\n\n${this.tableExtractor.toMarkdown(table)}\n`
+      );
+    }
+
+    const markdownPath = path.join(outputDir, `${filename}.tables.md`);
+    await fs.outputFile(markdownPath, markdownParts.join("\n"));
+    savedPaths.push(markdownPath);
+
+    console.log(
+      `💾 [Document Analyzer] ${tables.length} table(s) saved as CSV/Markdown for ${filename}`
+    );
+    return savedPaths;
+  }
+
   /**
    * Analyze document quality and provide insights
    * @param {object} structure - Document structure
@@ -395,6 +1950,107 @@ export class DocumentAnalyzer {
       quality.scores.title = 1.0;
     }
 
+    // OCR quality: confidence spread and regions OCR could not read
+    const elements = structure.pages.flatMap((page) => page.elements);
+    const ocrElements = elements.filter((element) => element.textSource === "ocr");
+    const ocrConfidences = ocrElements
+      .map((element) => element.textConfidence)
+      .filter((confidence) => typeof confidence === "number");
+    const failedOcrRegions = elements.filter(
+      (element) => element.ocrStatus === "failed"
+    ).length;
+    quality.ocr = {
+      regions: ocrElements.length,
+      meanConfidence: this._mean(ocrConfidences),
+      distribution: this._confidenceDistribution(ocrConfidences),
+      failedRegions: failedOcrRegions,
+      failedRatio:
+        ocrElements.length > 0
+          ? parseFloat((failedOcrRegions / ocrElements.length).toFixed(3))
+          : 0,
+    };
+    if (quality.ocr.meanConfidence !== null) {
+      quality.scores.ocr = quality.ocr.meanConfidence;
+    }
+
+    // Garbled text from bad scans or broken font encodings
+    const wordChecks = elements.flatMap((element) =>
+      element.text.split(/\s+/).map((word) => this._isGibberishWord(word))
+    );
+    const judgedWords = wordChecks.filter((check) => check !== null);
+    quality.gibberishRate =
+      judgedWords.length > 0
+        ? parseFloat(
+            (judgedWords.filter(Boolean).length / judgedWords.length).toFixed(3)
+          )
+        : 0;
+
+    // Per-page quality so ranking can down-weight poor pages
+    quality.pages = structure.pages.map((page) => this._assessPage(page));
+    quality.emptyPages = quality.pages
+      .filter((page) => page.elements === 0)
+      .map((page) => page.pageNumber);
+    quality.lowConfidenceLayoutPages = quality.pages
+      .filter(
+        (page) =>
+          page.layoutConfidence !== null &&
+          page.layoutConfidence < this.minLayoutConfidence
+      )
+      .map((page) => page.pageNumber);
+    // Blank pages (separators, back covers) are reported but not judged
+    const judgedPages = quality.pages.filter((page) => !page.empty);
+    const poorPages = judgedPages.filter(
+      (page) => page.score < this.poorPageScore
+    );
+    if (judgedPages.length > 0) {
+      quality.scores.pages = this._mean(judgedPages.map((page) => page.score));
+    }
+
+    if (quality.emptyPages.length > 0) {
+      quality.issues.push(
+        `No layout elements detected on page(s) ${quality.emptyPages.join(", ")}`
+      );
+    }
+    if (quality.lowConfidenceLayoutPages.length > 0) {
+      quality.issues.push(
+        `Uncertain layout detection on page(s) ${quality.lowConfidenceLayoutPages.join(", ")}`
+      );
+    }
+
+    // Documents that will not read well however they are analyzed
+    const rescanReasons = [];
+    if (
+      quality.ocr.meanConfidence !== null &&
+      quality.ocr.meanConfidence < this.rescanOcrConfidence
+    ) {
+      rescanReasons.push(
+        `mean OCR confidence ${quality.ocr.meanConfidence}`
+      );
+    }
+    if (quality.ocr.failedRatio > this.rescanFailedOcrRatio) {
+      rescanReasons.push(
+        `${Math.round(quality.ocr.failedRatio * 100)}% of OCR regions failed`
+      );
+    }
+    if (quality.gibberishRate > this.rescanGibberishRate) {
+      rescanReasons.push(
+        `${Math.round(quality.gibberishRate * 100)}% of words look garbled`
+      );
+    }
+    if (
+      judgedPages.length > 0 &&
+      poorPages.length / judgedPages.length > this.rescanPoorPageRatio
+    ) {
+      rescanReasons.push(`${poorPages.length} poor page(s)`);
+    }
+    quality.needsRescan = rescanReasons.length > 0;
+    if (quality.needsRescan) {
+      quality.issues.push(`Needs re-scanning: ${rescanReasons.join(", ")}`);
+      quality.suggestions.push(
+        "Re-scan at 300 dpi or higher, flat and straight, before relying on this document"
+      );
+    }
+
     // Calculate overall score
     const scores = Object.values(quality.scores);
     const overallScore =
@@ -409,6 +2065,149 @@ export class DocumentAnalyzer {
 
     return quality;
   }
+
+  /**
+   * Score one page from layout confidence, OCR confidence, failed OCR and
+   * garbled words
+   * @param {object} page - Page from the document structure
+   * @returns {object} - { pageNumber, score (null for empty pages), empty, elements, layoutConfidence, ocrConfidence, failedOcrRegions, gibberishRate, issues }
+   */
+  _assessPage(page) {
+    const elements = page.elements;
+    const assessment = {
+      pageNumber: page.pageNumber,
+      score: 0,
+      // No text and no OCR attempt that came back empty: nothing to read
+      empty: !elements.some(
+        (element) =>
+          (element.text && element.text.trim()) || element.textSource === "ocr"
+      ),
+      elements: elements.length,
+      layoutConfidence: this._mean(elements.map((element) => element.confidence)),
+      ocrConfidence: this._mean(
+        elements
+          .filter((element) => element.textSource === "ocr")
+          .map((element) => element.textConfidence)
+          .filter((confidence) => typeof confidence === "number")
+      ),
+      failedOcrRegions: elements.filter(
+        (element) => element.ocrStatus === "failed"
+      ).length,
+      gibberishRate: 0,
+      issues: [],
+    };
+
+    if (assessment.empty) {
+      assessment.score = null;
+      assessment.issues.push(
+        elements.length === 0 ? "No layout elements detected" : "No text"
+      );
+      return assessment;
+    }
+
+    const wordChecks = elements
+      .flatMap((element) =>
+        element.text.split(/\s+/).map((word) => this._isGibberishWord(word))
+      )
+      .filter((check) => check !== null);
+    if (wordChecks.length > 0) {
+      assessment.gibberishRate = parseFloat(
+        (wordChecks.filter(Boolean).length / wordChecks.length).toFixed(3)
+      );
+    }
+
+    const ocrRegions = elements.filter(
+      (element) => element.textSource === "ocr"
+    ).length;
+    const failedRatio =
+      ocrRegions > 0 ? assessment.failedOcrRegions / ocrRegions : 0;
+
+    // Text-layer pages have exact text; only their layout can be uncertain
+    const components = [
+      assessment.layoutConfidence,
+      assessment.ocrConfidence ?? 1,
+      1 - failedRatio,
+      1 - Math.min(1, assessment.gibberishRate * 2),
+    ];
+    assessment.score = parseFloat(
+      (components.reduce((sum, c) => sum + c, 0) / components.length).toFixed(3)
+    );
+
+    if (assessment.layoutConfidence < this.minLayoutConfidence) {
+      assessment.issues.push("Uncertain layout detection");
+    }
+    if (
+      assessment.ocrConfidence !== null &&
+      assessment.ocrConfidence < this.rescanOcrConfidence
+    ) {
+      assessment.issues.push("Low OCR confidence");
+    }
+    if (failedRatio > this.rescanFailedOcrRatio) {
+      assessment.issues.push("OCR failed on many regions");
+    }
+    if (assessment.gibberishRate > this.rescanGibberishRate) {
+      assessment.issues.push("Many garbled words");
+    }
+
+    return assessment;
+  }
+
+  /**
+   * Judge whether a word looks like OCR or encoding garbage
+   * @param {string} word - Whitespace-separated token
+   * @returns {boolean|null} - null for numbers, punctuation, acronyms, URLs, emails and non-Latin words, which are not judged
+   */
+  _isGibberishWord(word) {
+    const core = word.replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, "");
+    if (!core || !/\p{L}/u.test(core)) return null;
+
+    // Acronyms, web addresses and emails are valid without being words
+    if (
+      /^(?=(?:.*\p{Lu}){2})[\p{Lu}\d&-]+s?$/u.test(core) || // PDFs, HTML, COVID-19
+      /^(?:[a-z][a-z\d+.-]*:\/\/|www\.)/i.test(core) || // URLs
+      /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(core) || // Emails
+      /^(?:[\p{L}\d-]+\.)+\p{L}{2,}(?:\/\S*)?$/u.test(core) // Host names, e.g. example.org/forms
+    ) {
+      return null;
+    }
+    if (!/^[\p{Script=Latin}\p{N}\p{P}\p{S}\p{M}]+$/u.test(core)) return null;
+
+    return (
+      /[^\p{L}\p{N}\p{M}'’.\-/]/u.test(core) || // Symbols inside a word
+      /(\p{L})\1\1/u.test(core) || // Same letter three times
+      /\p{Ll}\p{Lu}.*\p{Ll}\p{Lu}/u.test(core) || // Case flipping back and forth
+      (/\p{L}/u.test(core) && /\d/.test(core) && !/^\d+(st|nd|rd|th|s)$/i.test(core) && !/^[A-Za-z]+-?\d+[A-Za-z]?$/.test(core)) || // Letters and digits mixed
+      (core.length > 3 && !/[aeiouyàáâãäåæèéêëìíîïòóôõöøœùúûü]/i.test(core)) || // No vowel
+      /[bcdfghjklmnpqrstvwxz]{5,}/i.test(core) // Long consonant runs
+    );
+  }
+
+  /**
+   * Mean of a list of numbers
+   * @param {Array} values - Numbers
+   * @returns {number|null} - Mean rounded to 3 decimals, or null for an empty list
+   */
+  _mean(values) {
+    if (values.length === 0) return null;
+    return parseFloat(
+      (values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(3)
+    );
+  }
+
+  /**
+   * Bucket confidences into fifths
+   * @param {Array} confidences - Confidences between 0 and 1
+   * @returns {object} - Counts keyed "0.0-0.2" ... "0.8-1.0"
+   */
+  _confidenceDistribution(confidences) {
+    const buckets = ["0.0-0.2", "0.2-0.4", "0.4-0.6", "0.6-0.8", "0.8-1.0"];
+    const distribution = Object.fromEntries(buckets.map((bucket) => [bucket, 0]));
+    for (const confidence of confidences) {
+      const bucket = Math.min(Math.floor(confidence * 5), 4);
+      distribution[buckets[bucket]]++;
+    }
+    return distribution;
+  }
 }
 
 export default DocumentAnalyzer;
@@ -0,0 +1,239 @@
+// duplicate-detector.js - Cross-Document Near-Duplicate Detection (MinHash)
+
+export class DuplicateDetector {
+  constructor(config = {}) {
+    this.shingleSize = config.shingleSize || 5; // Words per shingle
+    this.numHashes = config.numHashes || 64; // MinHash signature length
+    this.bands = config.bands || 16; // LSH bands; numHashes / bands rows each
+    this.similarityThreshold = config.similarityThreshold || 0.8; // Estimated Jaccard similarity
+    this.minWords = config.minWords || 8; // Shorter texts are too generic to call duplicates
+    this.crossDocumentOnly = config.crossDocumentOnly !== false; // Ignore repeats within one document
+
+    this.rowsPerBand = Math.max(1, Math.floor(this.numHashes / this.bands));
+    this.seeds = Array.from({ length: this.numHashes }, (_, i) =>
+      this._mix(Math.imul(i + 1, 0x9e3779b9))
+    );
+  }
+
+  /**
+   * Cluster near-duplicate sections and section content across documents.
+   * Members of a cluster get the same duplicateGroup id
+   * @param {Array} analysisResults - Analyses with filename and structure
+   * @returns {Array} - Clusters { id, kind, members: [{ document, page, sectionIndex }] }
+   */
+  clusterDocuments(analysisResults) {
+    const units = [];
+    for (const { filename, structure } of analysisResults) {
+      for (const section of structure.sections) {
+        units.push({
+          kind: "section",
+          document: filename,
+          page: section.page,
+          sectionIndex: section.index,
+          target: section,
+          text: [section.title, ...section.content.map((content) => content.text)].join(" "),
+        });
+        for (const content of section.content) {
+          units.push({
+            kind: "content",
+            document: filename,
+            page: content.page,
+            sectionIndex: section.index,
+            target: content,
+            text: content.text,
+          });
+        }
+      }
+    }
+
+    for (const unit of units) {
+      unit.signature = this.signature(unit.text);
+    }
+    const signed = units.filter((unit) => unit.signature);
+
+    // LSH: units sharing any band become candidate pairs
+    const parent = signed.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const buckets = new Map();
+    signed.forEach((unit, index) => {
+      for (let band = 0; band < this.bands; band++) {
+        const rows = unit.signature.slice(
+          band * this.rowsPerBand,
+          (band + 1) * this.rowsPerBand
+        );
+        if (rows.length === 0) break;
+        const key = `${unit.kind}:${band}:${rows.join(",")}`;
+        if (!buckets.has(key)) buckets.set(key, []);
+        buckets.get(key).push(index);
+      }
+    });
+
+    // Every pair in a bucket is a candidate; the first member may come from
+    // the same document as the rest
+    for (const bucket of buckets.values()) {
+      for (let i = 0; i < bucket.length; i++) {
+        for (let j = i + 1; j < bucket.length; j++) {
+          const a = signed[bucket[i]];
+          const b = signed[bucket[j]];
+          if (this.crossDocumentOnly && a.document === b.document) continue;
+          if (find(bucket[i]) === find(bucket[j])) continue;
+          if (
+            this.estimateSimilarity(a.signature, b.signature) >=
+            this.similarityThreshold
+          ) {
+            parent[find(bucket[j])] = find(bucket[i]);
+          }
+        }
+      }
+    }
+
+    const groups = new Map();
+    signed.forEach((unit, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(unit);
+    });
+
+    const clusters = [];
+    for (const members of groups.values()) {
+      const documents = new Set(members.map((member) => member.document));
+      if (members.length < 2 || (this.crossDocumentOnly && documents.size < 2)) {
+        continue;
+      }
+
+      const id = `dup-${clusters.length + 1}`;
+      for (const member of members) member.target.duplicateGroup = id;
+      clusters.push({
+        id,
+        kind: members[0].kind,
+        members: members.map(({ document, page, sectionIndex }) => ({
+          document,
+          page,
+          sectionIndex,
+        })),
+      });
+    }
+
+    console.log(
+      `🔗 [Duplicate Detector] ${clusters.length} near-duplicate clusters across ${analysisResults.length} documents`
+    );
+    return clusters;
+  }
+
+  /**
+   * Collapse matches of the same topic that hit one duplicate cluster: the
+   * best-scoring match stays, the others are listed as its alternates
+   * @param {Array} matches - Matches with topic, match_score and duplicate_group, best first
+   * @returns {Array} - Deduplicated matches, each with an alternates array
+   */
+  deduplicateMatches(matches) {
+    const canonicalByKey = new Map();
+    const deduplicated = [];
+
+    for (const match of matches) {
+      const key = match.duplicate_group
+        ? `${match.topic}\u0000${match.duplicate_group}`
+        : null;
+      const canonical = key ? canonicalByKey.get(key) : null;
+
+      if (canonical) {
+        canonical.alternates.push({
+          document: match.document,
+          page_number: match.page_number,
+          section_index: match.section_index,
+          match_score: match.match_score,
+        });
+        continue;
+      }
+
+      const kept = { ...match, alternates: [] };
+      if (key) canonicalByKey.set(key, kept);
+      deduplicated.push(kept);
+    }
+
+    const removed = matches.length - deduplicated.length;
+    if (removed > 0) {
+      console.log(
+        `🔗 [Duplicate Detector] Folded ${removed} duplicate matches into alternates`
+      );
+    }
+    return deduplicated;
+  }
+
+  /**
+   * MinHash signature of a text's word shingles
+   * @param {string} text - Text to sign
+   * @returns {Array|null} - Signature, or null if the text is too short
+   */
+  signature(text) {
+    const tokens = (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    if (tokens.length < this.minWords) return null;
+
+    const size = Math.min(this.shingleSize, tokens.length);
+    const shingleHashes = new Set();
+    for (let i = 0; i + size <= tokens.length; i++) {
+      shingleHashes.add(this._hash(tokens.slice(i, i + size).join(" ")));
+    }
+
+    return this.seeds.map((seed) => {
+      let min = 0xffffffff;
+      for (const hash of shingleHashes) {
+        const value = this._mix(hash ^ seed);
+        if (value < min) min = value;
+      }
+      return min;
+    });
+  }
+
+  /**
+   * Estimate Jaccard similarity from two signatures
+   * @param {Array} a - First signature
+   * @param {Array} b - Second signature
+   * @returns {number} - Share of equal positions (0-1)
+   */
+  estimateSimilarity(a, b) {
+    let equal = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) equal++;
+    }
+    return equal / a.length;
+  }
+
+  /**
+   * 32-bit FNV-1a string hash
+   * @param {string} text - Text to hash
+   * @returns {number} - Unsigned 32-bit hash
+   */
+  _hash(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * MurmurHash3 finalizer, used to derive independent hash functions
+   * @param {number} value - 32-bit integer
+   * @returns {number} - Unsigned 32-bit mixed value
+   */
+  _mix(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+  }
+}
+
+export default DuplicateDetector;
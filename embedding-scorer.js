@@ -0,0 +1,191 @@
+// embedding-scorer.js - Local Sentence-Embedding Similarity with On-Disk Cache
+import { pipeline } from "@huggingface/transformers";
+import crypto from "crypto";
+import fs from "fs-extra";
+import path from "path";
+
+export class EmbeddingScorer {
+  constructor(config = {}) {
+    this.modelPath = path.resolve(config.modelPath || "./models/all-MiniLM-L6-v2"); // Local model directory (ONNX + tokenizer)
+    this.cacheDir = config.cacheDir || "./cache/embeddings";
+    this.batchSize = config.batchSize || 16; // Texts embedded per model call
+    this.maxTextLength = config.maxTextLength || 2000; // Characters embedded per text
+
+    this.extractor = null;
+    this.isInitialized = false;
+    this.available = false;
+
+    // text hash -> normalized embedding; persisted per model
+    this.cache = new Map();
+    this.cacheFile = path.join(
+      this.cacheDir,
+      `${path.basename(this.modelPath).replace(/[^\w.-]/g, "_")}.json`
+    );
+    this.cacheDirty = false;
+
+    this.stats = {
+      embedded: 0,
+      cacheHits: 0,
+    };
+  }
+
+  /**
+   * Load the local model and the embedding cache. Failure leaves the scorer
+   * unavailable so matching continues without it
+   * @returns {Promise<boolean>} - Whether embeddings can be used
+   */
+  async initialize() {
+    if (this.isInitialized) return this.available;
+    this.isInitialized = true;
+
+    console.log(`🔄 [Embedding Scorer] Loading model from ${this.modelPath}...`);
+
+    try {
+      // Absolute path + local_files_only: never download, never touch global env
+      this.extractor = await pipeline("feature-extraction", this.modelPath, {
+        local_files_only: true,
+      });
+      this.available = true;
+    } catch (error) {
+      console.warn(
+        `⚠️ [Embedding Scorer] Model unavailable, embedding scores disabled:`,
+        error.message
+      );
+      return false;
+    }
+
+    try {
+      if (await fs.pathExists(this.cacheFile)) {
+        const cached = await fs.readJson(this.cacheFile);
+        for (const [key, vector] of Object.entries(cached)) {
+          this.cache.set(key, Float32Array.from(vector));
+        }
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [Embedding Scorer] Ignoring unreadable cache ${this.cacheFile}:`,
+        error.message
+      );
+    }
+
+    console.log(
+      `✅ [Embedding Scorer] Model loaded (${this.cache.size} cached embeddings)`
+    );
+    return true;
+  }
+
+  /**
+   * Embed texts that are not cached yet
+   * @param {Array} texts - Texts to embed
+   * @returns {Promise<number>} - Number of newly embedded texts
+   */
+  async precompute(texts) {
+    if (!this.available) return 0;
+
+    const pending = new Map();
+    for (const text of texts) {
+      if (!text) continue;
+      const key = this._key(text);
+      if (this.cache.has(key)) {
+        this.stats.cacheHits++;
+      } else {
+        pending.set(key, this._prepare(text));
+      }
+    }
+
+    const entries = [...pending.entries()];
+    for (let i = 0; i < entries.length; i += this.batchSize) {
+      const batch = entries.slice(i, i + this.batchSize);
+      try {
+        const output = await this.extractor(
+          batch.map(([, text]) => text),
+          { pooling: "mean", normalize: true }
+        );
+        output.tolist().forEach((vector, index) => {
+          this.cache.set(batch[index][0], Float32Array.from(vector));
+        });
+        this.stats.embedded += batch.length;
+        this.cacheDirty = true;
+      } catch (error) {
+        console.warn(
+          `⚠️ [Embedding Scorer] Embedding batch failed:`,
+          error.message
+        );
+      }
+    }
+
+    return entries.length;
+  }
+
+  /**
+   * Cosine similarity of two precomputed embeddings
+   * @param {string} a - First text
+   * @param {string} b - Second text
+   * @returns {number} - Similarity (0-1); 0 if either text is not embedded
+   */
+  similarity(a, b) {
+    const first = this.cache.get(this._key(a));
+    const second = this.cache.get(this._key(b));
+    if (!first || !second) return 0;
+
+    // Embeddings are normalized, so the dot product is the cosine
+    let dot = 0;
+    for (let i = 0; i < first.length; i++) dot += first[i] * second[i];
+    return Math.max(0, Math.min(1, dot));
+  }
+
+  /**
+   * Write new embeddings to the on-disk cache
+   */
+  async saveCache() {
+    if (!this.cacheDirty) return;
+
+    try {
+      const serialized = {};
+      for (const [key, vector] of this.cache) {
+        serialized[key] = Array.from(vector, (value) =>
+          parseFloat(value.toFixed(6))
+        );
+      }
+      await fs.outputJson(this.cacheFile, serialized);
+      this.cacheDirty = false;
+      console.log(
+        `💾 [Embedding Scorer] Saved ${this.cache.size} embeddings to ${this.cacheFile}`
+      );
+    } catch (error) {
+      console.warn(`⚠️ [Embedding Scorer] Failed to save cache:`, error.message);
+    }
+  }
+
+  /**
+   * Get scorer statistics
+   * @returns {object} - Statistics
+   */
+  getStats() {
+    return {
+      available: this.available,
+      cachedEmbeddings: this.cache.size,
+      ...this.stats,
+    };
+  }
+
+  /**
+   * Whitespace-collapsed, length-capped text as fed to the model
+   * @param {string} text - Raw text
+   * @returns {string} - Model input
+   */
+  _prepare(text) {
+    return text.replace(/\s+/g, " ").trim().slice(0, this.maxTextLength);
+  }
+
+  /**
+   * Cache key for a text
+   * @param {string} text - Raw text
+   * @returns {string} - SHA-1 of the model input
+   */
+  _key(text) {
+    return crypto.createHash("sha1").update(this._prepare(text)).digest("hex");
+  }
+}
+
+export default EmbeddingScorer;
@@ -7,6 +7,11 @@ import OllamaHandler from "./ollama-handler.js";
 import PDFProcessor from "./pdf-processor.js";
 import DocumentAnalyzer from "./document-analyzer.js";
 import SemanticMatcher from "./semantic-matcher.js";
+import DebugRenderer from "./debug-renderer.js";
+import StructureExporter from "./structure-exporter.js";
+import SectionAnnotator from "./section-annotator.js";
+import DuplicateDetector from "./duplicate-detector.js";
+import EmbeddingScorer from "./embedding-scorer.js";
 
 // Configuration
 const CONFIG = {
@@ -16,11 +21,29 @@ const CONFIG = {
     finalOutput: "./output.json",
     summaries: "./summaries.json",
     parsedJsons: "./parsed_jsons",
+    exportFormats: ["markdown", "html"], // readable exports next to the parsed JSONs
   },
   processing: {
     tempDir: "./temp_images",
     confidenceThreshold: 0.5,
     minTextLength: 10,
+    useTextLayer: true,
+    autoDeskew: true,
+    maxConcurrentDocuments: 2,
+    maxInFlightPages: 4,
+    ocrWorkers: 2,
+    ocrLanguages: "auto", // "auto" detects per document, or e.g. "eng+fra"
+    ocrDefaultLanguage: "eng",
+    ocrMaxLanguagePools: 2, // worker pools kept for different OCR languages
+    cropPadding: 4,
+    cropMinHeight: 48,
+    cropMaxUpscale: 3,
+    cropBenchmark: false,
+    minOcrConfidence: 0.5,
+    lowConfidenceMode: "drop",
+    chunkSize: 512, // retrieval chunks written as <file>.chunks.jsonl
+    chunkOverlap: 64,
+    chunkUnit: "tokens", // "tokens" (estimated) or "characters"
   },
   ollama: {
     modelName: "gbenson/qwen2.5-0.5b-instruct",
@@ -30,10 +53,34 @@ const CONFIG = {
   matching: {
     minMatchScore: 0.1,
     aiEnhancedMode: true,
-    fuzzyWeight: 0.3,
-    cosineWeight: 0.4,
-    aiWeight: 0.3,
+    // Scorer name -> weight: fuzzy, cosine, jaccard, ngram or any registerScorer()
+    // name from matching_utils.js, plus embedding, bm25 and ai (Ollama)
+    scorers: {
+      fuzzy: 0.3,
+      cosine: 0.4,
+      embedding: 0.4, // local sentence embeddings; drop fuzzy/cosine to use them alone
+      bm25: 0.3,
+      ai: 0.3, // share of the final score given to Ollama (0-1), not summed with the others
+    },
     maxConcurrentAIRequests: 3,
+    bm25Enabled: true, // corpus-wide BM25F first-stage retrieval
+    bm25K1: 1.2, // term frequency saturation
+    bm25B: 0.75, // length normalization
+    bm25TopK: 50, // candidates per topic in each document
+    bm25FieldWeights: { title: 2, header: 1.5, body: 1 },
+    deduplicate: true, // fold near-duplicate sections from different documents into one match
+    duplicateThreshold: 0.8, // estimated shingle overlap (Jaccard) to count as a duplicate
+  },
+  embedding: {
+    enabled: true, // skipped with a warning if the model directory is missing
+    modelPath: "./models/all-MiniLM-L6-v2", // local transformers.js model, never downloaded
+    cacheDir: "./cache/embeddings",
+    batchSize: 16,
+  },
+  debug: {
+    enabled: false, // annotated page images next to the parsed JSONs; keeps temp images
+    thumbnailWidth: 400,
+    contactSheetColumns: 4,
   },
 };
 
@@ -46,20 +93,53 @@ export class Round1BPipeline {
     this.pdfProcessor = new PDFProcessor({
       tempDir: this.config.processing.tempDir,
       confidenceThreshold: this.config.processing.confidenceThreshold,
+      useTextLayer: this.config.processing.useTextLayer,
+      autoDeskew: this.config.processing.autoDeskew,
+      maxConcurrentDocuments: this.config.processing.maxConcurrentDocuments,
+      maxInFlightPages: this.config.processing.maxInFlightPages,
+      ocrWorkers: this.config.processing.ocrWorkers,
+      ocrLanguages: this.config.processing.ocrLanguages,
+      ocrDefaultLanguage: this.config.processing.ocrDefaultLanguage,
+      ocrMaxLanguagePools: this.config.processing.ocrMaxLanguagePools,
+      cropPadding: this.config.processing.cropPadding,
+      cropMinHeight: this.config.processing.cropMinHeight,
+      cropMaxUpscale: this.config.processing.cropMaxUpscale,
+      cropBenchmark: this.config.processing.cropBenchmark,
+      keepTempImages: this.config.debug.enabled,
     });
     this.documentAnalyzer = new DocumentAnalyzer({
       minTextLength: this.config.processing.minTextLength,
+      minOcrConfidence: this.config.processing.minOcrConfidence,
+      lowConfidenceMode: this.config.processing.lowConfidenceMode,
+      chunkSize: this.config.processing.chunkSize,
+      chunkOverlap: this.config.processing.chunkOverlap,
+      chunkUnit: this.config.processing.chunkUnit,
     });
+    this.embeddingScorer = this.config.embedding.enabled
+      ? new EmbeddingScorer(this.config.embedding)
+      : null;
     this.semanticMatcher = new SemanticMatcher(
       this.ollamaHandler,
-      this.config.matching
+      this.config.matching,
+      this.embeddingScorer
     );
+    this.structureExporter = new StructureExporter();
+    this.sectionAnnotator = new SectionAnnotator();
+    this.duplicateDetector = new DuplicateDetector({
+      similarityThreshold: this.config.matching.duplicateThreshold,
+    });
+    this.debugRenderer = this.config.debug.enabled
+      ? new DebugRenderer(this.config.debug)
+      : null;
 
     // Pipeline state
     this.stats = {
       totalDocuments: 0,
       processedDocuments: 0,
       totalMatches: 0,
+      documentsNeedingRescan: [],
+      duplicateClusters: 0,
+      duplicatesRemoved: 0,
       startTime: null,
       endTime: null,
     };
@@ -160,6 +240,10 @@ export class Round1BPipeline {
     // Initialize PDF processor
     await this.pdfProcessor.initialize();
 
+    if (this.embeddingScorer) {
+      await this.embeddingScorer.initialize();
+    }
+
     // Ensure output directories exist
     await fs.ensureDir(this.config.output.directory);
     await fs.ensureDir(this.config.output.parsedJsons);
@@ -210,12 +294,38 @@ export class Round1BPipeline {
   async analyzeDocuments(pdfResults) {
     const analysisResults = [];
 
-    for (const pdfResult of pdfResults) {
+    const analyses = pdfResults.map((pdfResult) => {
       console.log(`📊 Analyzing structure for ${pdfResult.filename}...`);
 
-      const analysis = this.documentAnalyzer.createDocumentStructure(
-        pdfResult.pageResults
+      return this.documentAnalyzer.createDocumentStructure(
+        pdfResult.pageResults,
+        {
+          outline: pdfResult.outline,
+          formFields: pdfResult.formFields,
+          annotations: pdfResult.annotations,
+          language: pdfResult.language,
+        }
       );
+    });
+
+    // Keyphrase IDF spans the whole document set, so annotate before saving
+    this.sectionAnnotator.annotateDocuments(
+      analyses.map((analysis) => analysis.structure)
+    );
+
+    // Tag near-duplicate sections across documents before they are saved
+    if (this.config.matching.deduplicate !== false) {
+      const clusters = this.duplicateDetector.clusterDocuments(
+        analyses.map((analysis, index) => ({
+          filename: pdfResults[index].filename,
+          structure: analysis.structure,
+        }))
+      );
+      this.stats.duplicateClusters = clusters.length;
+    }
+
+    for (const [index, pdfResult] of pdfResults.entries()) {
+      const analysis = analyses[index];
 
       // Save document structure
       await this.documentAnalyzer.saveDocumentStructure(
@@ -224,20 +334,58 @@ export class Round1BPipeline {
         this.config.output.parsedJsons
       );
 
+      try {
+        await this.structureExporter.exportDocument(
+          analysis.structure,
+          pdfResult.filename,
+          this.config.output.exportFormats || [],
+          this.config.output.parsedJsons
+        );
+      } catch (error) {
+        console.warn(
+          `⚠️ Markdown/HTML export failed for ${pdfResult.filename}:`,
+          error.message
+        );
+      }
+
+      if (this.debugRenderer) {
+        try {
+          await this.debugRenderer.renderDocument(
+            pdfResult.pageResults,
+            analysis.structure,
+            pdfResult.filename,
+            this.config.output.parsedJsons
+          );
+        } catch (error) {
+          console.warn(
+            `⚠️ Debug rendering failed for ${pdfResult.filename}:`,
+            error.message
+          );
+        }
+      }
+
+      const quality = this.documentAnalyzer.analyzeDocumentQuality(
+        analysis.structure,
+        analysis.statistics
+      );
+      if (quality.needsRescan) {
+        this.stats.documentsNeedingRescan.push(pdfResult.filename);
+        console.warn(
+          `⚠️ ${pdfResult.filename} should be re-scanned: ${quality.issues.join("; ")}`
+        );
+      }
+
       analysisResults.push({
         filename: pdfResult.filename,
         title: pdfResult.title,
         structure: analysis.structure,
         allText: analysis.allText,
         statistics: analysis.statistics,
-        quality: this.documentAnalyzer.analyzeDocumentQuality(
-          analysis.structure,
-          analysis.statistics
-        ),
+        quality,
       });
 
       console.log(
-        `✅ Analysis complete for ${pdfResult.filename}: ${analysis.statistics.wordCount} words, ${analysis.statistics.totalSections} sections`
+        `✅ Analysis complete for ${pdfResult.filename}: ${analysis.statistics.wordCount} words, ${analysis.statistics.totalSections} sections, language ${analysis.statistics.language.code || "unknown"}`
       );
     }
 
@@ -304,7 +452,10 @@ export class Round1BPipeline {
    * Perform semantic matching between topics and document content
    */
   async performSemanticMatching(topics, analysisResults) {
-    const allMatches = [];
+    let allMatches = [];
+
+    // IDF and score normalization span the whole collection
+    this.semanticMatcher.buildCorpusIndex(analysisResults);
 
     for (const analysis of analysisResults) {
       console.log(`🔍 Matching topics for ${analysis.filename}...`);
@@ -312,7 +463,8 @@ export class Round1BPipeline {
       const matches = await this.semanticMatcher.findBestMatches(
         topics,
         analysis.structure,
-        analysis.filename
+        analysis.filename,
+        { pageQuality: analysis.quality.pages }
       );
 
       allMatches.push(...matches);
@@ -326,6 +478,13 @@ export class Round1BPipeline {
       return b.match_score - a.match_score;
     });
 
+    // Keep the best match per duplicate cluster; the rest become its alternates
+    if (this.config.matching.deduplicate !== false) {
+      const deduplicated = this.duplicateDetector.deduplicateMatches(allMatches);
+      this.stats.duplicatesRemoved = allMatches.length - deduplicated.length;
+      allMatches = deduplicated;
+    }
+
     this.stats.totalMatches = allMatches.length;
     console.log(
       `✅ Found ${allMatches.length} total matches across all documents`
@@ -361,6 +520,9 @@ export class Round1BPipeline {
         ai_model: this.config.ollama.modelName,
         statistics: {
           documents_processed: this.stats.processedDocuments,
+          documents_needing_rescan: this.stats.documentsNeedingRescan,
+          duplicate_clusters: this.stats.duplicateClusters,
+          duplicates_removed: this.stats.duplicatesRemoved,
           semantic_matcher_stats: this.semanticMatcher.getStats(),
           pdf_processor_stats: this.pdfProcessor.getStats(),
         },
@@ -436,6 +598,21 @@ export class Round1BPipeline {
     console.log(
       `    - Confidence threshold: ${processorStats.confidenceThreshold}`
     );
+    console.log(
+      `    - Regions from text layer / OCR: ${processorStats.textLayerRegions} / ${processorStats.ocrRegions}`
+    );
+    const { stages, peakMemoryMB } = processorStats.scheduler;
+    console.log(
+      `    - Throughput (per s): render ${stages.render.throughputPerSecond}, detection ${stages.detection.throughputPerSecond}, OCR ${stages.ocr.throughputPerSecond}`
+    );
+    console.log(`    - Peak memory: ${peakMemoryMB} MB`);
+    if (processorStats.cropBenchmark) {
+      const { pages, legacyCropMs, inMemoryCropMs } =
+        processorStats.cropBenchmark;
+      console.log(
+        `    - Crop time over ${pages} pages (legacy / in-memory): ${legacyCropMs}ms / ${inMemoryCropMs}ms`
+      );
+    }
   }
 
   /**
@@ -444,6 +621,9 @@ export class Round1BPipeline {
   async cleanup() {
     try {
       await this.pdfProcessor.cleanup();
+      if (this.embeddingScorer) {
+        await this.embeddingScorer.saveCache();
+      }
       console.log("🧹 Pipeline cleanup completed");
     } catch (error) {
       console.warn("⚠️ Cleanup failed:", error.message);
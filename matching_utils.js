@@ -0,0 +1,216 @@
+// matching_utils.js - Text Similarity Scorers and Scorer Registry
+import natural from "natural";
+
+const { stopwords } = natural;
+const STOPWORDS = new Set(stopwords);
+
+/**
+ * Lowercased word tokens
+ * @param {string} text - Text to tokenize
+ * @param {boolean} [dropStopwords] - Remove common function words
+ * @returns {Array} - Tokens
+ */
+export function tokenize(text, dropStopwords = true) {
+  const tokens = (text || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return dropStopwords ? tokens.filter((token) => !STOPWORDS.has(token)) : tokens;
+}
+
+/**
+ * Fuzzy word coverage: how well each query word is matched by its closest
+ * word in the text, tolerating typos and OCR errors
+ * @param {string} query - Topic or query text
+ * @param {string} text - Content text
+ * @returns {number} - Score (0-1)
+ */
+export function fuzzyMatch(query, text) {
+  const queryTokens = [...new Set(tokenize(query))];
+  const textTokens = [...new Set(tokenize(text))];
+  if (queryTokens.length === 0 || textTokens.length === 0) return 0;
+
+  let total = 0;
+  for (const queryToken of queryTokens) {
+    let best = 0;
+    for (const textToken of textTokens) {
+      // Length gap alone rules out a better ratio
+      const longest = Math.max(queryToken.length, textToken.length);
+      if (1 - Math.abs(queryToken.length - textToken.length) / longest <= best) {
+        continue;
+      }
+      best = Math.max(best, levenshteinRatio(queryToken, textToken));
+      if (best === 1) break;
+    }
+    // Weak resemblances are noise, not matches
+    total += best >= 0.75 ? best : 0;
+  }
+  return total / queryTokens.length;
+}
+
+/**
+ * Cosine similarity of term-frequency vectors
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Score (0-1)
+ */
+export function cosineSimilarity(a, b) {
+  const vectorA = termFrequencies(tokenize(a));
+  const vectorB = termFrequencies(tokenize(b));
+  if (vectorA.size === 0 || vectorB.size === 0) return 0;
+
+  let dot = 0;
+  for (const [term, count] of vectorA) {
+    dot += count * (vectorB.get(term) || 0);
+  }
+  return dot / (magnitude(vectorA) * magnitude(vectorB));
+}
+
+/**
+ * Jaccard similarity of word sets
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} - Score (0-1)
+ */
+export function jaccardSimilarity(a, b) {
+  const setA = new Set(tokenize(a));
+  const setB = new Set(tokenize(b));
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  let intersection = 0;
+  for (const token of setA) {
+    if (setB.has(token)) intersection++;
+  }
+  return intersection / (setA.size + setB.size - intersection);
+}
+
+/**
+ * Dice coefficient of character n-grams; robust to inflection and split words
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {number} [n] - N-gram length
+ * @returns {number} - Score (0-1)
+ */
+export function ngramSimilarity(a, b, n = 3) {
+  const gramsA = characterNgrams(a, n);
+  const gramsB = characterNgrams(b, n);
+  if (gramsA.size === 0 || gramsB.size === 0) return 0;
+
+  let shared = 0;
+  for (const gram of gramsA) {
+    if (gramsB.has(gram)) shared++;
+  }
+  return (2 * shared) / (gramsA.size + gramsB.size);
+}
+
+/**
+ * Normalized Levenshtein similarity of two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} - 1 - distance / longer length (0-1)
+ */
+export function levenshteinRatio(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+// Scorer registry: name -> (query, text) => score between 0 and 1
+const scorers = new Map([
+  ["fuzzy", fuzzyMatch],
+  ["cosine", cosineSimilarity],
+  ["jaccard", jaccardSimilarity],
+  ["ngram", (query, text) => ngramSimilarity(query, text)],
+]);
+
+/**
+ * Register a custom scorer, or replace a built-in one
+ * @param {string} name - Name used in CONFIG.matching.scorers
+ * @param {Function} scorer - (query, text) => score between 0 and 1
+ */
+export function registerScorer(name, scorer) {
+  if (!name || typeof name !== "string") {
+    throw new TypeError("Scorer name must be a non-empty string");
+  }
+  if (typeof scorer !== "function") {
+    throw new TypeError(`Scorer "${name}" must be a function`);
+  }
+  scorers.set(name, scorer);
+}
+
+/**
+ * Look up a scorer by name
+ * @param {string} name - Scorer name
+ * @returns {Function|null} - Scorer, or null if none is registered
+ */
+export function getScorer(name) {
+  return scorers.get(name) || null;
+}
+
+/**
+ * Names of all registered scorers
+ * @returns {Array} - Scorer names
+ */
+export function listScorers() {
+  return [...scorers.keys()];
+}
+
+/**
+ * Count occurrences of each term
+ * @param {Array} tokens - Tokens
+ * @returns {Map} - Term -> count
+ */
+function termFrequencies(tokens) {
+  const frequencies = new Map();
+  for (const token of tokens) {
+    frequencies.set(token, (frequencies.get(token) || 0) + 1);
+  }
+  return frequencies;
+}
+
+/**
+ * Euclidean length of a term-frequency vector
+ * @param {Map} vector - Term -> count
+ * @returns {number} - Magnitude
+ */
+function magnitude(vector) {
+  let sum = 0;
+  for (const count of vector.values()) sum += count * count;
+  return Math.sqrt(sum);
+}
+
+/**
+ * Set of character n-grams over the normalized word sequence
+ * @param {string} text - Text
+ * @param {number} n - N-gram length
+ * @returns {Set} - N-grams
+ */
+function characterNgrams(text, n) {
+  const normalized = ` ${tokenize(text, false).join(" ")} `;
+  const grams = new Set();
+  for (let i = 0; i + n <= normalized.length; i++) {
+    grams.add(normalized.slice(i, i + n));
+  }
+  return grams;
+}
+
+export default {
+  fuzzyMatch,
+  cosineSimilarity,
+  jaccardSimilarity,
+  ngramSimilarity,
+  levenshteinRatio,
+  registerScorer,
+  getScorer,
+  listScorers,
+};
@@ -0,0 +1,241 @@
+// page-normalizer.js - Page Orientation and Skew Correction
+import sharp from "sharp";
+
+export class PageNormalizer {
+  constructor(config = {}) {
+    this.maxSkewAngle = config.maxSkewAngle || 5; // Degrees searched either side of level
+    this.skewStep = config.skewStep || 0.2; // Degrees between tested angles
+    this.minSkewAngle = config.minSkewAngle || 0.3; // Smaller skews are left alone
+    this.minOrientationConfidence = config.minOrientationConfidence || 2; // Tesseract OSD confidence
+    this.analysisWidth = config.analysisWidth || 800; // Downscaled width for skew estimation
+    this.darkThreshold = config.darkThreshold || 128; // Grey level counted as ink
+
+    this.osdWorker = null;
+    this.osdEnabled = false;
+  }
+
+  /**
+   * Initialize the tesseract OSD worker used for 90/180/270 degree detection
+   */
+  async initialize() {
+    try {
+      const tesseractModule = await import("tesseract.js");
+      const { createWorker } = tesseractModule;
+
+      // OSD needs the legacy engine and language data
+      this.osdWorker = await createWorker("osd", 0, {
+        legacyCore: true,
+        legacyLang: true,
+      });
+      this.osdEnabled = true;
+      console.log("✅ [Page Normalizer] Orientation detection initialized");
+    } catch (error) {
+      console.warn(
+        "⚠️ [Page Normalizer] Orientation detection not available, skew correction only:",
+        error.message
+      );
+      this.osdEnabled = false;
+    }
+  }
+
+  /**
+   * Detect orientation and skew, writing a corrected copy of the page if needed
+   * @param {string} imagePath - Path to page image
+   * @param {string} outputPath - Where to write the corrected image
+   * @returns {Promise<object>} - Applied correction and original page size
+   */
+  async normalize(imagePath, outputPath) {
+    const { width, height } = await sharp(imagePath).metadata();
+    const { rotation, script } = await this.detectOrientation(imagePath);
+    const skew = await this.estimateSkew(imagePath, rotation);
+
+    // sharp rotates clockwise; undo the skew after turning the page upright
+    const angle = rotation - skew;
+    const correction = {
+      rotation,
+      skew: parseFloat(skew.toFixed(2)),
+      angle: parseFloat(angle.toFixed(2)),
+      applied: angle !== 0,
+      script, // Dominant script from OSD, e.g. "Latin" or "Cyrillic"
+      originalWidth: width,
+      originalHeight: height,
+      correctedWidth: width,
+      correctedHeight: height,
+      imagePath,
+    };
+
+    if (!correction.applied) {
+      return correction;
+    }
+
+    const info = await sharp(imagePath)
+      .rotate(angle, { background: { r: 255, g: 255, b: 255, alpha: 1 } })
+      .png()
+      .toFile(outputPath);
+
+    correction.correctedWidth = info.width;
+    correction.correctedHeight = info.height;
+    correction.imagePath = outputPath;
+
+    console.log(
+      `🔄 [Page Normalizer] Corrected ${imagePath}: rotation ${rotation}°, skew ${correction.skew}°`
+    );
+    return correction;
+  }
+
+  /**
+   * Detect page orientation with tesseract OSD
+   * @param {string} imagePath - Path to page image
+   * @returns {Promise<object>} - { rotation, script }: clockwise rotation (0, 90, 180, 270)
+   * that makes the page upright and the detected script (null if unknown)
+   */
+  async detectOrientation(imagePath) {
+    if (!this.osdEnabled || !this.osdWorker) return { rotation: 0, script: null };
+
+    try {
+      const { data } = await this.osdWorker.detect(imagePath);
+      const script = data.script || null;
+      if (
+        data.orientation_degrees === null ||
+        data.orientation_confidence < this.minOrientationConfidence
+      ) {
+        return { rotation: 0, script };
+      }
+      // tesseract.js reports Tesseract's "Rotate" value (OSD orientation ids
+      // map to 0/270/180/90): the clockwise turn that makes the page upright,
+      // as sharp's rotate() expects, not the page's current orientation.
+      // A page turned 90° clockwise reports 270
+      const rotation = ((data.orientation_degrees % 360) + 360) % 360;
+      return { rotation: rotation % 90 === 0 ? rotation : 0, script };
+    } catch (error) {
+      console.warn(
+        `⚠️ [Page Normalizer] Orientation detection failed for ${imagePath}:`,
+        error.message
+      );
+      return { rotation: 0, script: null };
+    }
+  }
+
+  /**
+   * Estimate skew from horizontal projection profiles: text lines are
+   * sharpest (highest profile variance) when sheared by the skew angle
+   * @param {string} imagePath - Path to page image
+   * @param {number} rotation - Orientation correction applied first
+   * @returns {Promise<number>} - Skew in degrees (positive = lines descend to the right)
+   */
+  async estimateSkew(imagePath, rotation = 0) {
+    try {
+      const { data, info } = await sharp(imagePath)
+        .rotate(rotation)
+        .resize({ width: this.analysisWidth, withoutEnlargement: true })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const points = [];
+      for (let y = 0; y < info.height; y++) {
+        for (let x = 0; x < info.width; x++) {
+          if (data[y * info.width + x] < this.darkThreshold) {
+            points.push(x, y);
+          }
+        }
+      }
+      if (points.length < 200) return 0;
+
+      let bestAngle = 0;
+      let bestScore = -1;
+      for (
+        let angle = -this.maxSkewAngle;
+        angle <= this.maxSkewAngle + 1e-9;
+        angle += this.skewStep
+      ) {
+        const score = this._profileScore(points, angle, info);
+        if (score > bestScore) {
+          bestScore = score;
+          bestAngle = angle;
+        }
+      }
+
+      return Math.abs(bestAngle) >= this.minSkewAngle ? bestAngle : 0;
+    } catch (error) {
+      console.warn(
+        `⚠️ [Page Normalizer] Skew estimation failed for ${imagePath}:`,
+        error.message
+      );
+      return 0;
+    }
+  }
+
+  /**
+   * Sum of squared row counts after shearing ink points by an angle
+   * @param {Array} points - Flat [x, y, x, y, ...] ink coordinates
+   * @param {number} angle - Shear angle in degrees
+   * @param {object} info - Image dimensions
+   * @returns {number} - Profile sharpness score
+   */
+  _profileScore(points, angle, info) {
+    const slope = Math.tan((angle * Math.PI) / 180);
+    const offset = Math.ceil(Math.abs(slope) * info.width);
+    const rows = new Float64Array(info.height + 2 * offset + 1);
+
+    for (let i = 0; i < points.length; i += 2) {
+      rows[Math.round(points[i + 1] - points[i] * slope) + offset]++;
+    }
+
+    let score = 0;
+    for (const count of rows) score += count * count;
+    return score;
+  }
+
+  /**
+   * Map a bbox from the corrected image back to original page coordinates
+   * @param {Array} bbox - [x1, y1, x2, y2] in the corrected image
+   * @param {object} correction - Result of normalize()
+   * @returns {Array} - [x1, y1, x2, y2] in the original image
+   */
+  mapBoxToOriginal(bbox, correction) {
+    if (!correction || !correction.applied) return bbox;
+
+    const theta = (correction.angle * Math.PI) / 180;
+    const cos = Math.cos(theta);
+    const sin = Math.sin(theta);
+
+    // Undo a clockwise rotation about the image center
+    const corners = [
+      [bbox[0], bbox[1]],
+      [bbox[2], bbox[1]],
+      [bbox[0], bbox[3]],
+      [bbox[2], bbox[3]],
+    ].map(([x, y]) => {
+      const dx = x - correction.correctedWidth / 2;
+      const dy = y - correction.correctedHeight / 2;
+      return [
+        dx * cos + dy * sin + correction.originalWidth / 2,
+        -dx * sin + dy * cos + correction.originalHeight / 2,
+      ];
+    });
+
+    const clampX = (x) => Math.min(correction.originalWidth, Math.max(0, x));
+    const clampY = (y) => Math.min(correction.originalHeight, Math.max(0, y));
+
+    return [
+      clampX(Math.min(...corners.map((c) => c[0]))),
+      clampY(Math.min(...corners.map((c) => c[1]))),
+      clampX(Math.max(...corners.map((c) => c[0]))),
+      clampY(Math.max(...corners.map((c) => c[1]))),
+    ];
+  }
+
+  /**
+   * Terminate the OSD worker
+   */
+  async cleanup() {
+    if (this.osdWorker) {
+      await this.osdWorker.terminate();
+      this.osdWorker = null;
+      this.osdEnabled = false;
+    }
+  }
+}
+
+export default PageNormalizer;
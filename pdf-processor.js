@@ -1,22 +1,56 @@
 // pdf-processor.js - PDF Processing with YOLO and OCR
 import fs from "fs-extra";
 import path from "path";
+import { execFile } from "child_process";
+import { promisify } from "util";
 import { createCanvas, loadImage } from "canvas";
+import sharp from "sharp";
 import { AutoModel, AutoProcessor, RawImage } from "@huggingface/transformers";
+import TableExtractor from "./table-extractor.js";
+import TaskQueue from "./task-queue.js";
+import ReadingOrder from "./reading-order.js";
+import PageNormalizer from "./page-normalizer.js";
+import PDFStructureReader from "./pdf-structure-reader.js";
+import TextNormalizer from "./text-normalizer.js";
+
+const execFileAsync = promisify(execFile);
 
 export class PDFProcessor {
   constructor(config = {}) {
     this.tempDir = config.tempDir || "./temp_images";
     this.confidenceThreshold = config.confidenceThreshold || 0.5;
+    this.useTextLayer = config.useTextLayer !== false; // Prefer embedded PDF text over OCR
+    this.textLayerOverlap = config.textLayerOverlap || 0.5; // Min share of a word inside a box
+    this.autoDeskew = config.autoDeskew !== false; // Fix rotation/skew of scanned pages
+    this.keepTempImages = config.keepTempImages === true; // Debug mode keeps rendered pages
+    const ocrLanguages = config.ocrLanguages || "auto"; // "auto", "eng+fra" or ["eng", "fra"]
     this.ocrConfig = {
       enabled: false,
-      language: "eng",
+      languages: Array.isArray(ocrLanguages)
+        ? ocrLanguages.join("+")
+        : ocrLanguages,
+      defaultLanguage: config.ocrDefaultLanguage || "eng", // Used when detection finds nothing
+      workers: config.ocrWorkers || 2,
+      maxLanguagePools: config.ocrMaxLanguagePools || 2, // Idle pools beyond this are terminated, least recently used first
+    };
+    this.cropConfig = {
+      padding: config.cropPadding ?? 4, // Px of context kept around each region
+      minHeight: config.cropMinHeight || 48, // Shorter crops are upscaled towards this height
+      maxUpscale: config.cropMaxUpscale || 3,
     };
+    this.cropBenchmark = config.cropBenchmark === true; // Also time the legacy file-based crop path
 
     // YOLO model components
     this.model = null;
     this.processor = null;
-    this.ocrWorker = null;
+    this.ocrSchedulers = new Map(); // Tesseract language -> scheduler promise, least recently used first
+    this.ocrPoolUsers = new Map(); // Tesseract language -> regions currently using its pool
+    this.ocrFallbackLanguages = new Set(); // Languages served by the default pool
+    this.tableExtractor = new TableExtractor(config.table || {});
+    this.readingOrder = new ReadingOrder(config.readingOrder || {});
+    this.pageNormalizer = new PageNormalizer(config.pageNormalizer || {});
+    this.structureReader = new PDFStructureReader(config.structureReader || {});
+    this.textNormalizer = new TextNormalizer(config.textNormalizer || {});
 
     // Document layout labels
     this.id2label = {
@@ -33,6 +67,33 @@ export class PDFProcessor {
       10: "Title",
     };
 
+    // Image inputs processed directly, without PDF rendering
+    this.imageExtensions = [".png", ".jpg", ".jpeg", ".tif", ".tiff"];
+
+    // Labels whose regions carry readable text
+    this.textLabels = ["Text", "Title", "Section-header", "List-item"];
+
+    this.stats = {
+      textLayerRegions: 0,
+      ocrRegions: 0,
+      tableRegions: 0,
+      correctedPages: 0,
+      benchmarkPages: 0,
+      legacyCropMs: 0,
+      inMemoryCropMs: 0,
+    };
+
+    // Pipeline stages: documents and pages bound what is in flight, the
+    // render/detection/OCR queues let stages of different pages overlap
+    this.queues = {
+      documents: new TaskQueue("documents", config.maxConcurrentDocuments || 2),
+      pages: new TaskQueue("pages", config.maxInFlightPages || 4),
+      render: new TaskQueue("render", config.maxConcurrentRenders || 2),
+      detection: new TaskQueue("detection", 1), // Single shared ONNX session
+      ocr: new TaskQueue("ocr", this.ocrConfig.workers),
+    };
+    this.peakMemoryMB = 0;
+
     this.isInitialized = false;
   }
 
@@ -69,6 +130,10 @@ export class PDFProcessor {
     // Try to initialize OCR
     await this._initializeOCR();
 
+    if (this.autoDeskew) {
+      await this.pageNormalizer.initialize();
+    }
+
     // Ensure temp directory exists
     await fs.ensureDir(this.tempDir);
 
@@ -77,81 +142,715 @@ export class PDFProcessor {
   }
 
   /**
-   * Initialize OCR worker if available
+   * Initialize a pool of OCR workers if available
    */
   async _initializeOCR() {
     try {
-      const tesseractModule = await import("tesseract.js");
-      const { createWorker } = tesseractModule;
-
-      this.ocrWorker = await createWorker(this.ocrConfig.language);
+      await this._getOcrScheduler(this._resolveOcrLanguage(null));
       this.ocrConfig.enabled = true;
-      console.log("✅ [PDF Processor] OCR worker initialized");
     } catch (error) {
       console.warn("⚠️ [PDF Processor] OCR not available:", error.message);
+      this.ocrSchedulers.clear();
       this.ocrConfig.enabled = false;
     }
   }
 
   /**
-   * Convert PDF to images using pdf-poppler
+   * Get the OCR worker pool for a language, creating it on first use
+   * @param {string} language - Tesseract language, e.g. "eng" or "eng+fra"
+   * @returns {Promise<object>} - Tesseract scheduler
+   */
+  _getOcrScheduler(language) {
+    if (this.ocrSchedulers.has(language)) {
+      // Re-insert so the map stays ordered from least to most recently used
+      const schedulerPromise = this.ocrSchedulers.get(language);
+      this.ocrSchedulers.delete(language);
+      this.ocrSchedulers.set(language, schedulerPromise);
+      return schedulerPromise;
+    }
+
+    const schedulerPromise = (async () => {
+      const { createScheduler, createWorker } = await import("tesseract.js");
+      const scheduler = createScheduler();
+      try {
+        for (let i = 0; i < this.ocrConfig.workers; i++) {
+          scheduler.addWorker(await createWorker(language));
+        }
+      } catch (error) {
+        // Workers created before the failure would otherwise never exit
+        await scheduler.terminate().catch(() => {});
+        throw error;
+      }
+      console.log(
+        `✅ [PDF Processor] OCR scheduler for "${language}" initialized with ${this.ocrConfig.workers} workers`
+      );
+      return scheduler;
+    })().catch((error) => {
+      // Missing language data: later regions use the default language pool
+      if (language === this.ocrConfig.defaultLanguage) {
+        this.ocrSchedulers.delete(language);
+        throw error;
+      }
+      console.warn(
+        `⚠️ [PDF Processor] OCR language "${language}" not available, using "${this.ocrConfig.defaultLanguage}":`,
+        error.message
+      );
+      this.ocrFallbackLanguages.add(language);
+      return this._getOcrScheduler(this.ocrConfig.defaultLanguage);
+    });
+    this.ocrSchedulers.set(language, schedulerPromise);
+    this._evictOcrPools();
+    return schedulerPromise;
+  }
+
+  /**
+   * Terminate the least recently used idle language pools beyond
+   * maxLanguagePools. The default pool stays, since fallbacks share it
+   */
+  _evictOcrPools() {
+    const { defaultLanguage, maxLanguagePools } = this.ocrConfig;
+    const pools = [...this.ocrSchedulers.keys()].filter(
+      (language) => !this.ocrFallbackLanguages.has(language)
+    );
+    let excess = pools.length - maxLanguagePools;
+
+    for (const language of pools) {
+      if (excess <= 0) break;
+      if (language === defaultLanguage || this.ocrPoolUsers.get(language)) continue;
+
+      const schedulerPromise = this.ocrSchedulers.get(language);
+      this.ocrSchedulers.delete(language);
+      excess--;
+      schedulerPromise
+        .then(async (scheduler) => {
+          // A pool still being built may turn out to be the shared default
+          if (this.ocrFallbackLanguages.has(language)) return;
+          await scheduler.terminate();
+          console.log(
+            `🧹 [PDF Processor] OCR scheduler for "${language}" terminated (least recently used)`
+          );
+        })
+        .catch(() => {});
+    }
+  }
+
+  /**
+   * Pick the OCR language: configured languages win, then the detected one
+   * @param {string|null} detected - Language detected for the document or page
+   * @returns {string} - Tesseract language
+   */
+  _resolveOcrLanguage(detected) {
+    if (this.ocrConfig.languages !== "auto") return this.ocrConfig.languages;
+    return detected || this.ocrConfig.defaultLanguage;
+  }
+
+  /**
+   * Detect a document's language from its embedded text layer
+   * @param {Array} textLayer - Text-layer pages from extractTextLayer
+   * @returns {object} - { code, script, confidence, source }
+   */
+  _detectDocumentLanguage(textLayer) {
+    if (this.ocrConfig.languages !== "auto") {
+      return {
+        code: this.ocrConfig.languages,
+        script: null,
+        confidence: 1,
+        source: "config",
+      };
+    }
+
+    const text = textLayer
+      .map((page) => (page ? this._joinWords(page.words) : ""))
+      .join("\n");
+    const detected = this.textNormalizer.detectLanguage(text);
+    return {
+      code: detected.language,
+      script: detected.script,
+      confidence: detected.confidence,
+      source: detected.language ? "text-layer" : null,
+    };
+  }
+
+  /**
+   * Join text-layer words, keeping line breaks so hyphenated words can be rejoined
+   * @param {Array} words - Words with text and bbox, in reading order
+   * @returns {string} - Text with one line per text line
+   */
+  _joinWords(words) {
+    let text = "";
+    let previous = null;
+    for (const word of words) {
+      if (previous) {
+        // A word starting below the previous word's middle begins a new line
+        const previousCenter = (previous.bbox[1] + previous.bbox[3]) / 2;
+        text += word.bbox[1] > previousCenter ? "\n" : " ";
+      }
+      text += word.text;
+      previous = word;
+    }
+    return text;
+  }
+
+  /**
+   * Temp directory for one input document; "form.pdf" and "form.png" get
+   * separate directories so their page images cannot collide
+   * @param {string} filename - Input filename
+   * @returns {string} - Directory inside tempDir
+   */
+  _documentTempDir(filename) {
+    return path.join(this.tempDir, filename.replace(/[^\w.-]+/g, "_"));
+  }
+
+  /**
+   * Render a single PDF page to PNG using pdf-poppler
    * @param {string} pdfPath - Path to PDF file
    * @param {string} outPrefix - Output file prefix
-   * @returns {Promise<Array>} - Array of image file names
+   * @param {number} pageNumber - 1-based page number
+   * @param {string} [outDir] - Output directory (the document's temp directory)
+   * @returns {Promise<string>} - Path to the rendered page image
    */
-  async convertPdfToImages(pdfPath, outPrefix) {
-    try {
+  async renderPdfPage(pdfPath, outPrefix, pageNumber, outDir = this.tempDir) {
+    return this.queues.render.run(async () => {
       const pdfPopplerModule = await import("pdf-poppler");
       const pdfPoppler = pdfPopplerModule.default;
 
-      const options = {
+      await fs.ensureDir(outDir);
+      await pdfPoppler.convert(pdfPath, {
         format: "png",
-        out_dir: this.tempDir,
+        out_dir: outDir,
         out_prefix: outPrefix,
-        page: null,
-      };
+        page: pageNumber,
+      });
+
+      // pdftocairo zero-pads the page suffix depending on the page count
+      const escapedPrefix = outPrefix.replace(/[.*+?^$()|[\]\\{}]/g, "\\$&");
+      const pagePattern = new RegExp(
+        `^${escapedPrefix}-0*${pageNumber}\\.png$`
+      );
+      const imageFile = (await fs.readdir(outDir)).find((f) =>
+        pagePattern.test(f)
+      );
+      if (!imageFile) {
+        throw new Error(`Rendered image for page ${pageNumber} not found`);
+      }
+
+      this._sampleMemory();
+      return path.join(outDir, imageFile);
+    });
+  }
+
+  /**
+   * Convert one page of an image input (PNG/JPEG or multi-page TIFF) to PNG
+   * @param {string} imagePath - Path to the source image
+   * @param {string} outPrefix - Output file prefix
+   * @param {number} pageNumber - 1-based page number
+   * @param {string} [outDir] - Output directory (the document's temp directory)
+   * @returns {Promise<string>} - Path to the page image
+   */
+  async renderImagePage(imagePath, outPrefix, pageNumber, outDir = this.tempDir) {
+    return this.queues.render.run(async () => {
+      await fs.ensureDir(outDir);
+      const outputPath = path.join(outDir, `${outPrefix}-${pageNumber}.png`);
+
+      // rotate() applies EXIF orientation from phone/scanner captures
+      await sharp(imagePath, { page: pageNumber - 1 })
+        .rotate()
+        .png()
+        .toFile(outputPath);
+
+      this._sampleMemory();
+      return outputPath;
+    });
+  }
+
+  /**
+   * Get the number of pages in an image input (multi-page TIFFs have several)
+   * @param {string} imagePath - Path to the source image
+   * @returns {Promise<number>} - Page count
+   */
+  async getImagePageCount(imagePath) {
+    const metadata = await sharp(imagePath).metadata();
+    return metadata.pages || 1;
+  }
+
+  /**
+   * Get the number of pages in a PDF
+   * @param {string} pdfPath - Path to PDF file
+   * @returns {Promise<number>} - Page count
+   */
+  async getPageCount(pdfPath) {
+    const pdfPopplerModule = await import("pdf-poppler");
+    const pdfPoppler = pdfPopplerModule.default;
+
+    const info = await pdfPoppler.info(pdfPath);
+    return parseInt(info.pages, 10);
+  }
+
+  /**
+   * Extract positioned words from the PDF's embedded text layer using pdftotext
+   * @param {string} pdfPath - Path to PDF file
+   * @returns {Promise<Array>} - Per-page text layers ({ width, height, words }) in PDF points
+   */
+  async extractTextLayer(pdfPath) {
+    try {
+      const pdfPopplerModule = await import("pdf-poppler");
+      const pdfPoppler = pdfPopplerModule.default;
 
-      await fs.ensureDir(this.tempDir);
-      await pdfPoppler.convert(pdfPath, options);
+      const { stdout } = await execFileAsync(
+        path.join(pdfPoppler.path, "pdftotext"),
+        // Crop box: the area pdftocairo renders
+        ["-bbox", "-cropbox", pdfPath, "-"],
+        { encoding: "utf8", maxBuffer: 64 * 1024 * 1024 }
+      );
 
-      const imageFiles = (await fs.readdir(this.tempDir))
-        .filter((f) => f.startsWith(outPrefix) && f.endsWith(".png"))
-        .sort();
+      const textLayer = this._parseTextLayer(stdout);
+      const pagesWithText = textLayer.filter((page) => page.words.length > 0);
 
       console.log(
-        `✅ [PDF Processor] Converted ${pdfPath} to ${imageFiles.length} images`
+        `✅ [PDF Processor] Text layer found on ${pagesWithText.length}/${textLayer.length} pages of ${pdfPath}`
       );
-      return imageFiles;
+      return textLayer;
     } catch (error) {
-      console.error(
-        `❌ [PDF Processor] PDF conversion failed for ${pdfPath}:`,
+      console.warn(
+        `⚠️ [PDF Processor] Text layer extraction failed for ${pdfPath}, falling back to OCR:`,
         error.message
       );
-      throw error;
+      return [];
+    }
+  }
+
+  /**
+   * Parse pdftotext -bbox XHTML output into per-page word lists
+   * @param {string} xhtml - pdftotext -bbox output
+   * @returns {Array} - Per-page text layers
+   */
+  _parseTextLayer(xhtml) {
+    const pages = [];
+    const pagePattern =
+      /<page width="([\d.]+)" height="([\d.]+)">([\s\S]*?)<\/page>/g;
+    const wordPattern =
+      /<word xMin="([\d.-]+)" yMin="([\d.-]+)" xMax="([\d.-]+)" yMax="([\d.-]+)">([\s\S]*?)<\/word>/g;
+
+    for (const pageMatch of xhtml.matchAll(pagePattern)) {
+      const words = [];
+
+      for (const wordMatch of pageMatch[3].matchAll(wordPattern)) {
+        const text = this._decodeEntities(wordMatch[5]).trim();
+        if (!text) continue;
+
+        words.push({
+          text,
+          bbox: [
+            parseFloat(wordMatch[1]),
+            parseFloat(wordMatch[2]),
+            parseFloat(wordMatch[3]),
+            parseFloat(wordMatch[4]),
+          ],
+        });
+      }
+
+      pages.push({
+        width: parseFloat(pageMatch[1]),
+        height: parseFloat(pageMatch[2]),
+        words,
+      });
+    }
+
+    return pages;
+  }
+
+  /**
+   * Decode the XML entities pdftotext escapes in word text
+   * @param {string} text - Escaped text
+   * @returns {string} - Decoded text
+   */
+  _decodeEntities(text) {
+    return text
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+      .replace(/&amp;/g, "&");
+  }
+
+  /**
+   * Assign text-layer words to detection boxes by overlap
+   * @param {object} textLayer - Page text layer in PDF points
+   * @param {Array} detections - Detections with pixel bboxes
+   * @param {number} imageWidth - Rendered page width in pixels
+   * @param {number} imageHeight - Rendered page height in pixels
+   * @returns {Map} - Detection index to array of words (in text-layer order)
+   */
+  _assignTextLayerWords(textLayer, detections, imageWidth, imageHeight) {
+    const assignments = new Map();
+    if (!textLayer || textLayer.words.length === 0) return assignments;
+
+    const scaleX = imageWidth / textLayer.width;
+    const scaleY = imageHeight / textLayer.height;
+
+    for (const word of textLayer.words) {
+      const wordBox = [
+        word.bbox[0] * scaleX,
+        word.bbox[1] * scaleY,
+        word.bbox[2] * scaleX,
+        word.bbox[3] * scaleY,
+      ];
+      const wordArea =
+        Math.max(1e-6, wordBox[2] - wordBox[0]) *
+        Math.max(1e-6, wordBox[3] - wordBox[1]);
+
+      // Give each word to the text region that contains most of it
+      let bestIndex = -1;
+      let bestOverlap = this.textLayerOverlap;
+
+      detections.forEach((detection, index) => {
+        if (
+          !this.textLabels.includes(detection.label) &&
+          detection.label !== "Table"
+        ) {
+          return;
+        }
+
+        const overlap =
+          this._intersectionArea(wordBox, detection.bbox) / wordArea;
+        if (overlap >= bestOverlap) {
+          bestOverlap = overlap;
+          bestIndex = index;
+        }
+      });
+
+      if (bestIndex >= 0) {
+        if (!assignments.has(bestIndex)) assignments.set(bestIndex, []);
+        assignments.get(bestIndex).push({ ...word, bbox: wordBox });
+      }
     }
+
+    return assignments;
+  }
+
+  /**
+   * Intersection area of two [x1, y1, x2, y2] boxes
+   * @param {Array} a - First box
+   * @param {Array} b - Second box
+   * @returns {number} - Intersection area
+   */
+  _intersectionArea(a, b) {
+    const width = Math.min(a[2], b[2]) - Math.max(a[0], b[0]);
+    const height = Math.min(a[3], b[3]) - Math.max(a[1], b[1]);
+    return width > 0 && height > 0 ? width * height : 0;
   }
 
   /**
    * Extract text from image region using OCR
    * @param {string} imagePath - Path to image file
-   * @returns {Promise<string>} - Extracted text
+   * @returns {Promise<string>} - Extracted text (empty if OCR failed or is unavailable)
    */
   async extractTextFromImage(imagePath) {
-    if (!this.ocrConfig.enabled || !this.ocrWorker) {
-      return "OCR not available";
+    const result = await this.recognizeRegion(imagePath);
+    return result.text;
+  }
+
+  /**
+   * Recognize an image region with word- and line-level detail
+   * @param {string|Buffer} image - Path to image file or encoded image buffer
+   * @param {string} [language] - Tesseract language (defaults to the configured one)
+   * @returns {Promise<object>} - { status, text, confidence, words, lines }; boxes relative to the image
+   */
+  async recognizeRegion(image, language = this._resolveOcrLanguage(null)) {
+    if (!this.ocrConfig.enabled) {
+      return this._emptyOcrResult("unavailable");
     }
 
+    // A pool with regions in flight is never evicted
+    this.ocrPoolUsers.set(language, (this.ocrPoolUsers.get(language) || 0) + 1);
     try {
+      const scheduler = await this._getOcrScheduler(language);
       const {
-        data: { text },
-      } = await this.ocrWorker.recognize(imagePath);
-      return text.trim();
+        data: { text, blocks },
+      } = await this.queues.ocr.run(() =>
+        scheduler.addJob("recognize", image, {}, { blocks: true })
+      );
+
+      const toBox = (bbox) => [bbox.x0, bbox.y0, bbox.x1, bbox.y1];
+      const words = [];
+      const lines = [];
+      for (const block of blocks || []) {
+        for (const paragraph of block.paragraphs) {
+          for (const line of paragraph.lines) {
+            lines.push({
+              text: line.text.trim(),
+              confidence: parseFloat((line.confidence / 100).toFixed(3)),
+              bbox: toBox(line.bbox),
+            });
+            for (const word of line.words) {
+              words.push({
+                text: word.text,
+                confidence: parseFloat((word.confidence / 100).toFixed(3)),
+                bbox: toBox(word.bbox),
+              });
+            }
+          }
+        }
+      }
+
+      const confidence =
+        words.length > 0
+          ? words.reduce((sum, word) => sum + word.confidence, 0) /
+            words.length
+          : null;
+
+      return {
+        status: words.length > 0 ? "ok" : "empty",
+        text: text.trim(),
+        confidence: confidence === null ? null : parseFloat(confidence.toFixed(3)),
+        words,
+        lines,
+      };
+    } catch (error) {
+      console.warn(
+        `⚠️ [PDF Processor] OCR extraction failed${
+          typeof image === "string" ? ` for ${image}` : ""
+        }:`,
+        error.message
+      );
+      return this._emptyOcrResult("failed");
+    } finally {
+      const users = this.ocrPoolUsers.get(language) - 1;
+      if (users > 0) this.ocrPoolUsers.set(language, users);
+      else this.ocrPoolUsers.delete(language);
+      this._evictOcrPools();
+    }
+  }
+
+  /**
+   * OCR result for regions where no text could be recognized
+   * @param {string} status - "unavailable", "failed" or "empty"
+   * @returns {object} - Empty OCR result
+   */
+  _emptyOcrResult(status) {
+    return { status, text: "", confidence: null, words: [], lines: [] };
+  }
+
+  /**
+   * Shift crop-relative OCR boxes into page coordinates
+   * @param {object} ocr - OCR result from recognizeRegion
+   * @param {number} dx - Crop left offset
+   * @param {number} dy - Crop top offset
+   * @param {number} [scale] - Upscale factor applied to the crop
+   * @returns {object} - OCR result with shifted boxes
+   */
+  _offsetOcrResult(ocr, dx, dy, scale = 1) {
+    const shift = (item) => ({
+      ...item,
+      bbox: [
+        item.bbox[0] / scale + dx,
+        item.bbox[1] / scale + dy,
+        item.bbox[2] / scale + dx,
+        item.bbox[3] / scale + dy,
+      ],
+    });
+    return { ...ocr, words: ocr.words.map(shift), lines: ocr.lines.map(shift) };
+  }
+
+  /**
+   * Map OCR word and line boxes from a corrected page back to the original
+   * @param {object|null} ocr - OCR result in corrected page coordinates
+   * @param {object|null} correction - Page correction from the normalizer
+   * @returns {object|null} - OCR result in original page coordinates
+   */
+  _mapOcrToOriginal(ocr, correction) {
+    if (!ocr || !correction || !correction.applied) return ocr;
+
+    const mapItem = (item) => ({
+      ...item,
+      bbox: this.pageNormalizer.mapBoxToOriginal(item.bbox, correction),
+    });
+    return { ...ocr, words: ocr.words.map(mapItem), lines: ocr.lines.map(mapItem) };
+  }
+
+  /**
+   * Raw pixels of the page image already decoded for detection, so regions
+   * are cropped in memory without decoding the page again
+   * @param {RawImage} image - Page image read for YOLO
+   * @returns {object} - { data, info } raw pixels and dimensions
+   */
+  _pageRaster(image) {
+    const { data, width, height, channels } = image;
+    return {
+      data: Buffer.from(data.buffer, data.byteOffset, data.byteLength),
+      info: { width, height, channels },
+    };
+  }
+
+  /**
+   * Crop a region from a decoded page, padded and upscaled for OCR
+   * @param {object} raster - Decoded page from _pageRaster
+   * @param {Array} bbox - Region bbox [x1, y1, x2, y2]
+   * @returns {Promise<object>} - { buffer, left, top, scale } encoded crop and its placement
+   */
+  async _cropRegion(raster, bbox) {
+    const { width, height, channels } = raster.info;
+    const { padding, minHeight, maxUpscale } = this.cropConfig;
+
+    const left = Math.min(width - 1, Math.max(0, Math.floor(bbox[0] - padding)));
+    const top = Math.min(height - 1, Math.max(0, Math.floor(bbox[1] - padding)));
+    const right = Math.max(left + 1, Math.min(width, Math.ceil(bbox[2] + padding)));
+    const bottom = Math.max(top + 1, Math.min(height, Math.ceil(bbox[3] + padding)));
+    const cropWidth = right - left;
+    const cropHeight = bottom - top;
+
+    // Small text recognizes better once enlarged towards a readable height
+    const scale = Math.min(maxUpscale, Math.max(1, minHeight / cropHeight));
+
+    let crop = sharp(raster.data, { raw: { width, height, channels } }).extract({
+      left,
+      top,
+      width: cropWidth,
+      height: cropHeight,
+    });
+    if (scale > 1) {
+      crop = crop.resize({
+        width: Math.round(cropWidth * scale),
+        height: Math.round(cropHeight * scale),
+        kernel: "lanczos3",
+      });
+    }
+
+    const buffer = await crop.png({ compressionLevel: 0 }).toBuffer();
+    return { buffer, left, top, scale };
+  }
+
+  /**
+   * OCR a page region from memory, returning boxes in page coordinates
+   * @param {object} pageImage - { path, raster, timing } shared by a page's regions
+   * @param {Array} bbox - Region bbox [x1, y1, x2, y2]
+   * @param {string} cropName - Temp file name for the benchmarked legacy crop
+   * @param {string} [language] - Tesseract language for the region
+   * @returns {Promise<object>} - OCR result from recognizeRegion
+   */
+  async _recognizeCrop(pageImage, bbox, cropName, language) {
+    const cropStart = performance.now();
+    const crop = await this._cropRegion(pageImage.raster, bbox);
+    pageImage.timing.inMemoryMs += performance.now() - cropStart;
+
+    if (this.cropBenchmark) {
+      const legacyStart = performance.now();
+      const tempCropPath = await this._writeRegionCrop(
+        pageImage.path,
+        bbox,
+        cropName
+      );
+      await fs.unlink(tempCropPath);
+      pageImage.timing.legacyMs += performance.now() - legacyStart;
+    }
+
+    const cropResult = await this.recognizeRegion(crop.buffer, language);
+    return this._offsetOcrResult(cropResult, crop.left, crop.top, crop.scale);
+  }
+
+  /**
+   * Crop a page region to a temporary PNG file (legacy path, kept for
+   * crop benchmarking)
+   * @param {string} imagePath - Path to page image
+   * @param {Array} bbox - Region bbox [x1, y1, x2, y2]
+   * @param {string} cropName - File name for the crop, written next to the page image
+   * @returns {Promise<string>} - Path to the cropped image
+   */
+  async _writeRegionCrop(imagePath, bbox, cropName) {
+    const canvas = createCanvas(bbox[2] - bbox[0], bbox[3] - bbox[1]);
+    const ctx = canvas.getContext("2d");
+    const fullImage = await loadImage(imagePath);
+
+    ctx.drawImage(
+      fullImage,
+      bbox[0],
+      bbox[1],
+      bbox[2] - bbox[0],
+      bbox[3] - bbox[1],
+      0,
+      0,
+      bbox[2] - bbox[0],
+      bbox[3] - bbox[1]
+    );
+
+    const croppedBuffer = canvas.toBuffer();
+    const tempCropPath = path.join(path.dirname(imagePath), cropName);
+    await fs.writeFile(tempCropPath, croppedBuffer);
+
+    return tempCropPath;
+  }
+
+  /**
+   * Record crop timings for a page and estimate its time on the legacy path
+   * @param {number} pageNumber - Page number
+   * @param {number} processingTime - Page time in seconds (in-memory crops)
+   * @param {object} timing - { inMemoryMs, legacyMs } accumulated crop time
+   * @returns {object} - Per-page benchmark
+   */
+  _recordCropBenchmark(pageNumber, processingTime, timing) {
+    this.stats.benchmarkPages++;
+    this.stats.inMemoryCropMs += timing.inMemoryMs;
+    this.stats.legacyCropMs += timing.legacyMs;
+
+    // Legacy timing runs alongside the in-memory path, so take it out of the page time
+    const inMemoryPageSeconds = processingTime - timing.legacyMs / 1000;
+    const legacyPageSeconds =
+      inMemoryPageSeconds + (timing.legacyMs - timing.inMemoryMs) / 1000;
+    const benchmark = {
+      inMemoryCropMs: Math.round(timing.inMemoryMs),
+      legacyCropMs: Math.round(timing.legacyMs),
+      pageSecondsBefore: parseFloat(legacyPageSeconds.toFixed(2)),
+      pageSecondsAfter: parseFloat(inMemoryPageSeconds.toFixed(2)),
+    };
+
+    console.log(
+      `📊 [PDF Processor] Page ${pageNumber} crop benchmark: legacy ${benchmark.legacyCropMs}ms vs in-memory ${benchmark.inMemoryCropMs}ms (page ${benchmark.pageSecondsBefore}s → ${benchmark.pageSecondsAfter}s)`
+    );
+    return benchmark;
+  }
+
+  /**
+   * Recognize table structure from text-layer words or OCR words
+   * @param {object} pageImage - { path, raster, timing } shared by a page's regions
+   * @param {Array} bbox - Table bbox [x1, y1, x2, y2]
+   * @param {string} cropName - Name used for logging and crop benchmarking
+   * @param {Array} [textLayerWords] - Text-layer words inside the table, if any
+   * @param {string} [language] - Tesseract language for OCR
+   * @returns {Promise<object>} - { table, textSource, ocr }
+   */
+  async _extractTable(pageImage, bbox, cropName, textLayerWords, language) {
+    if (textLayerWords && textLayerWords.length > 0) {
+      return {
+        table: this.tableExtractor.extractTable(textLayerWords, bbox),
+        textSource: "text-layer",
+        ocr: null,
+      };
+    }
+
+    if (!this.ocrConfig.enabled) {
+      return { table: null, textSource: null, ocr: null };
+    }
+
+    this.stats.ocrRegions++;
+    try {
+      const ocr = await this._recognizeCrop(pageImage, bbox, cropName, language);
+
+      return {
+        table: this.tableExtractor.extractTable(ocr.words, bbox),
+        textSource: "ocr",
+        ocr,
+      };
     } catch (error) {
       console.warn(
-        `⚠️ [PDF Processor] OCR extraction failed for ${imagePath}:`,
+        `⚠️ [PDF Processor] Table extraction failed for ${cropName}:`,
         error.message
       );
-      return "OCR extraction failed";
+      return {
+        table: null,
+        textSource: "ocr",
+        ocr: this._emptyOcrResult("failed"),
+      };
     }
   }
 
@@ -159,9 +858,11 @@ export class PDFProcessor {
    * Process single page with YOLO object detection and OCR
    * @param {string} imagePath - Path to page image
    * @param {number} pageNumber - Page number
+   * @param {object|null} textLayer - Embedded text layer for this page, if any
+   * @param {string|null} [language] - Document language for OCR, if known
    * @returns {Promise<object>} - Page processing result
    */
-  async processPage(imagePath, pageNumber) {
+  async processPage(imagePath, pageNumber, textLayer = null, language = null) {
     if (!this.isInitialized) {
       throw new Error(
         "PDF Processor not initialized. Call initialize() first."
@@ -173,126 +874,216 @@ export class PDFProcessor {
     try {
       console.log(`🔄 [PDF Processor] Processing page ${pageNumber}...`);
 
-      // Load and process image with YOLO
-      const image = await RawImage.read(imagePath);
-      const { pixel_values } = await this.processor(image);
-      const { outputs } = await this.model({ images: pixel_values });
-
-      const sizes = [[image.height, image.width]];
-      const { boxes, scores, labels } =
-        await this.processor.post_process_object_detection(
-          outputs,
-          this.confidenceThreshold,
-          sizes
+      const hasTextLayer = Boolean(textLayer && textLayer.words.length > 0);
+
+      // Straighten scanned pages before detection; pages with a text layer
+      // are digitally born and already upright
+      let correction = null;
+      let workingImagePath = imagePath;
+      if (this.autoDeskew && !hasTextLayer) {
+        correction = await this.pageNormalizer.normalize(
+          imagePath,
+          path.join(
+            path.dirname(imagePath),
+            `${path.parse(imagePath).name}_normalized.png`
+          )
         );
+        workingImagePath = correction.imagePath;
+        if (correction.applied) this.stats.correctedPages++;
+      }
+
+      // Without a document language, the script found by orientation detection decides
+      const ocrLanguage = this._resolveOcrLanguage(
+        language ||
+          this.textNormalizer.languageForScript(correction && correction.script)
+      );
+
+      // Load and process image with YOLO (one page at a time on the shared session)
+      const { image, boxes, scores, labels } = await this.queues.detection.run(
+        async () => {
+          const image = await RawImage.read(workingImagePath);
+          const { pixel_values } = await this.processor(image);
+          const { outputs } = await this.model({ images: pixel_values });
+
+          const sizes = [[image.height, image.width]];
+          const { boxes, scores, labels } =
+            await this.processor.post_process_object_detection(
+              outputs,
+              this.confidenceThreshold,
+              sizes
+            );
+          return { image, boxes, scores, labels };
+        }
+      );
+
+      const rawDetections = [];
+      for (let i = 0; i < boxes.data.length / 4; i++) {
+        rawDetections.push({
+          bbox: [
+            boxes.data[i * 4],
+            boxes.data[i * 4 + 1],
+            boxes.data[i * 4 + 2],
+            boxes.data[i * 4 + 3],
+          ],
+          score: scores.data[i],
+          label: this.id2label[labels.data[i]],
+        });
+      }
 
+      // Map embedded PDF text onto the detected regions
+      const textLayerWords = this._assignTextLayerWords(
+        textLayer,
+        rawDetections,
+        image.width,
+        image.height
+      );
+
+      const pageWidth = correction ? correction.originalWidth : image.width;
+      const pageHeight = correction ? correction.originalHeight : image.height;
       const detections = [];
 
+      // The page decoded for detection is reused to crop every region from memory
+      const pageImage = {
+        path: workingImagePath,
+        raster: this._pageRaster(image),
+        timing: { inMemoryMs: 0, legacyMs: 0 },
+      };
+
       // Process each detection
-      for (let i = 0; i < boxes.data.length / 4; i++) {
-        const bbox = [
-          boxes.data[i * 4],
-          boxes.data[i * 4 + 1],
-          boxes.data[i * 4 + 2],
-          boxes.data[i * 4 + 3],
-        ];
-        const score = scores.data[i];
-        const label = this.id2label[labels.data[i]];
-
-        // Extract text from detected region if OCR is available
+      for (let i = 0; i < rawDetections.length; i++) {
+        const { bbox, score, label } = rawDetections[i];
+
+        // Prefer the text layer, fall back to OCR for regions without embedded text
         let extractedText = "";
-        if (
+        let textSource = null;
+        let table = null;
+        let ocr = null;
+        if (label === "Table") {
+          ({ table, textSource, ocr } = await this._extractTable(
+            pageImage,
+            bbox,
+            `table_${pageNumber}_${i}.png`,
+            textLayerWords.get(i),
+            ocrLanguage
+          ));
+          if (table) {
+            extractedText = this.tableExtractor.toText(table);
+            this.stats.tableRegions++;
+          }
+        } else if (textLayerWords.has(i)) {
+          extractedText = this._joinWords(textLayerWords.get(i));
+          textSource = "text-layer";
+          this.stats.textLayerRegions++;
+        } else if (
           this.ocrConfig.enabled &&
-          ["Text", "Title", "Section-header", "List-item"].includes(label)
+          this.textLabels.includes(label)
         ) {
+          textSource = "ocr";
+          this.stats.ocrRegions++;
           try {
-            // Crop the detected region for OCR
-            const canvas = createCanvas(bbox[2] - bbox[0], bbox[3] - bbox[1]);
-            const ctx = canvas.getContext("2d");
-            const fullImage = await loadImage(imagePath);
-
-            ctx.drawImage(
-              fullImage,
-              bbox[0],
-              bbox[1],
-              bbox[2] - bbox[0],
-              bbox[3] - bbox[1],
-              0,
-              0,
-              bbox[2] - bbox[0],
-              bbox[3] - bbox[1]
+            ocr = await this._recognizeCrop(
+              pageImage,
+              bbox,
+              `crop_${pageNumber}_${i}.png`,
+              ocrLanguage
             );
-
-            const croppedBuffer = canvas.toBuffer();
-            const tempCropPath = path.join(
-              this.tempDir,
-              `crop_${pageNumber}_${i}.png`
-            );
-            await fs.writeFile(tempCropPath, croppedBuffer);
-
-            extractedText = await this.extractTextFromImage(tempCropPath);
-
-            // Clean up temp crop file
-            await fs.unlink(tempCropPath);
+            extractedText = ocr.text;
           } catch (error) {
             console.warn(
               `⚠️ [PDF Processor] Text extraction failed for detection ${i}:`,
               error.message
             );
-            extractedText = "Text extraction failed";
+            ocr = this._emptyOcrResult("failed");
+            extractedText = "";
           }
         }
 
+        // Embedded text is exact; OCR text carries its mean word confidence
+        let textConfidence = null;
+        if (textSource === "text-layer") textConfidence = 1;
+        else if (ocr) textConfidence = ocr.confidence;
+
+        // Report geometry in original page coordinates
+        const pageBbox = this.pageNormalizer.mapBoxToOriginal(bbox, correction);
         const detection = {
-          bbox: bbox,
+          bbox: pageBbox,
           normalizedBbox: [
-            parseFloat((bbox[0] / image.width).toFixed(4)),
-            parseFloat((bbox[1] / image.height).toFixed(4)),
-            parseFloat((bbox[2] / image.width).toFixed(4)),
-            parseFloat((bbox[3] / image.height).toFixed(4)),
+            parseFloat((pageBbox[0] / pageWidth).toFixed(4)),
+            parseFloat((pageBbox[1] / pageHeight).toFixed(4)),
+            parseFloat((pageBbox[2] / pageWidth).toFixed(4)),
+            parseFloat((pageBbox[3] / pageHeight).toFixed(4)),
           ],
           label: label,
           confidence: parseFloat(score.toFixed(3)),
-          area: Math.round((bbox[2] - bbox[0]) * (bbox[3] - bbox[1])),
+          area: Math.round(
+            (pageBbox[2] - pageBbox[0]) * (pageBbox[3] - pageBbox[1])
+          ),
           center: [
-            Math.round((bbox[0] + bbox[2]) / 2),
-            Math.round((bbox[1] + bbox[3]) / 2),
+            Math.round((pageBbox[0] + pageBbox[2]) / 2),
+            Math.round((pageBbox[1] + pageBbox[3]) / 2),
           ],
-          width: Math.round(bbox[2] - bbox[0]),
-          height: Math.round(bbox[3] - bbox[1]),
+          width: Math.round(pageBbox[2] - pageBbox[0]),
+          height: Math.round(pageBbox[3] - pageBbox[1]),
           extractedText: extractedText,
+          textSource: textSource,
+          textConfidence: textConfidence,
+          ocr: this._mapOcrToOriginal(ocr, correction),
+          table: this._mapTableToOriginal(table, correction),
           pageNumber: pageNumber,
         };
+        if (correction && correction.applied) detection.correctedBbox = bbox;
 
         detections.push(detection);
       }
 
-      // Sort detections by reading order (top to bottom, left to right)
-      detections.sort((a, b) => {
-        const yDiff = a.center[1] - b.center[1];
-        if (Math.abs(yDiff) > 20) return yDiff;
-        return a.center[0] - b.center[0];
-      });
+      // Sort detections by layout reading order (columns, then top to bottom),
+      // using the upright geometry when the page was corrected
+      const orderedDetections = this.readingOrder.sort(
+        detections,
+        (detection) => detection.correctedBbox || detection.bbox
+      );
 
       // Add reading order index
-      detections.forEach((detection, index) => {
+      orderedDetections.forEach((detection, index) => {
         detection.reading_order = index + 1;
       });
 
+      this._sampleMemory();
       const processingTime = ((performance.now() - startTime) / 1000).toFixed(
         2
       );
       console.log(
-        `✅ [PDF Processor] Page ${pageNumber} processed in ${processingTime}s - Found ${detections.length} elements`
+        `✅ [PDF Processor] Page ${pageNumber} processed in ${processingTime}s - Found ${orderedDetections.length} elements`
       );
 
+      let benchmark = null;
+      if (this.cropBenchmark) {
+        benchmark = this._recordCropBenchmark(
+          pageNumber,
+          parseFloat(processingTime),
+          pageImage.timing
+        );
+      }
+
       return {
         pageNumber,
         processingTime: parseFloat(processingTime),
-        detections: detections,
+        detections: orderedDetections,
         sourceImagePath: imagePath,
-        imageWidth: image.width,
-        imageHeight: image.height,
+        normalizedImagePath:
+          correction && correction.applied ? correction.imagePath : null,
+        imageWidth: pageWidth,
+        imageHeight: pageHeight,
+        hasTextLayer,
+        ocrLanguage,
+        benchmark,
+        orientation: correction
+          ? {
+              rotation: correction.rotation,
+              skew: correction.skew,
+              applied: correction.applied,
+            }
+          : null,
       };
     } catch (error) {
       console.error(
@@ -303,6 +1094,27 @@ export class PDFProcessor {
     }
   }
 
+  /**
+   * Map table, row and cell boxes from a corrected page back to the original
+   * @param {object|null} table - Table structure in corrected coordinates
+   * @param {object|null} correction - Page correction from the normalizer
+   * @returns {object|null} - Table in original page coordinates
+   */
+  _mapTableToOriginal(table, correction) {
+    if (!table || !correction || !correction.applied) return table;
+
+    const mapBox = (box) => this.pageNormalizer.mapBoxToOriginal(box, correction);
+    return {
+      ...table,
+      bbox: mapBox(table.bbox),
+      rows: table.rows.map((row) => ({
+        ...row,
+        bbox: mapBox(row.bbox),
+        cells: row.cells.map((cell) => ({ ...cell, bbox: mapBox(cell.bbox) })),
+      })),
+    };
+  }
+
   /**
    * Process entire PDF document
    * @param {object} doc - Document object with filename and title
@@ -313,43 +1125,117 @@ export class PDFProcessor {
 
     const filename = doc.filename;
     const outPrefix = path.parse(filename).name;
+    const pdfPath = `./${filename}`;
 
     try {
-      // Convert PDF to images
-      const imageFiles = await this.convertPdfToImages(
-        `./${filename}`,
-        outPrefix
-      );
+      const pageCount = await this.getPageCount(pdfPath);
+
+      // Read the embedded text layer so OCR is only needed where it is missing
+      const textLayer = this.useTextLayer
+        ? await this.extractTextLayer(pdfPath)
+        : [];
+
+      // Bookmarks and other embedded structure feed the section hierarchy
+      const pdfStructure = await this.structureReader.read(pdfPath);
 
-      // Process all pages in parallel for better performance
-      const pageProcessingPromises = imageFiles.map((imageFile, index) => {
-        const imagePath = path.join(this.tempDir, imageFile);
-        const pageNumber = index + 1;
-        return this.processPage(imagePath, pageNumber);
+      // pdftotext reports the unrotated page size but rotated word positions
+      (pdfStructure.pageRotations || []).forEach((rotation, index) => {
+        const page = textLayer[index];
+        if (page && rotation % 180 !== 0) {
+          [page.width, page.height] = [page.height, page.width];
+        }
       });
 
+      // The text layer tells which language scanned pages should be OCRed in
+      const language = this._detectDocumentLanguage(textLayer);
+      if (language.code) {
+        console.log(
+          `📝 [PDF Processor] ${filename} language: ${language.code} (${language.source})`
+        );
+      }
+
+      // Pages are rendered only when a page slot frees up, so at most
+      // maxInFlightPages page images are being worked on at once
+      const pageProcessingPromises = Array.from(
+        { length: pageCount },
+        (_, index) =>
+          this.queues.pages.run(async () => {
+            const pageNumber = index + 1;
+            const imagePath = await this.renderPdfPage(
+              pdfPath,
+              outPrefix,
+              pageNumber,
+              this._documentTempDir(filename)
+            );
+            return this.processPage(
+              imagePath,
+              pageNumber,
+              textLayer[index] || null,
+              language.code
+            );
+          })
+      );
+
       const pageResults = await Promise.all(pageProcessingPromises);
 
       console.log(
         `✅ [PDF Processor] Completed processing ${filename} - ${pageResults.length} pages`
       );
 
-      return {
-        filename,
-        title: doc.title,
-        pageResults,
-        metadata: {
-          totalPages: pageResults.length,
-          totalElements: pageResults.reduce(
-            (sum, page) => sum + page.detections.length,
-            0
-          ),
-          totalProcessingTime: pageResults.reduce(
-            (sum, page) => sum + page.processingTime,
-            0
-          ),
-        },
-      };
+      // Recover link anchor text and highlighted passages from the text layer
+      pdfStructure.annotations = this._attachCoveredText(
+        pdfStructure.annotations || [],
+        textLayer
+      );
+
+      return this._buildDocumentResult(doc, pageResults, pdfStructure, language);
+    } catch (error) {
+      console.error(
+        `❌ [PDF Processor] Failed to process ${filename}:`,
+        error.message
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Process an image document (PNG/JPEG, or multi-page TIFF split into pages)
+   * @param {object} doc - Document object with filename and title
+   * @returns {Promise<object>} - Processing result with the same shape as processPDF
+   */
+  async processImageDocument(doc) {
+    console.log(`🔄 [PDF Processor] Processing image: ${doc.filename}`);
+
+    const filename = doc.filename;
+    const outPrefix = path.parse(filename).name;
+    const sourcePath = `./${filename}`;
+
+    try {
+      const pageCount = await this.getImagePageCount(sourcePath);
+      const language = this._detectDocumentLanguage([]);
+
+      const pageProcessingPromises = Array.from(
+        { length: pageCount },
+        (_, index) =>
+          this.queues.pages.run(async () => {
+            const pageNumber = index + 1;
+            const imagePath = await this.renderImagePage(
+              sourcePath,
+              outPrefix,
+              pageNumber,
+              this._documentTempDir(filename)
+            );
+            return this.processPage(imagePath, pageNumber, null, language.code);
+          })
+      );
+
+      const pageResults = await Promise.all(pageProcessingPromises);
+
+      console.log(
+        `✅ [PDF Processor] Completed processing ${filename} - ${pageResults.length} pages`
+      );
+
+      return this._buildDocumentResult(doc, pageResults, {}, language);
     } catch (error) {
       console.error(
         `❌ [PDF Processor] Failed to process ${filename}:`,
@@ -360,20 +1246,137 @@ export class PDFProcessor {
   }
 
   /**
-   * Process multiple PDFs in parallel
+   * Process a document of any supported type (PDF or image)
+   * @param {object} doc - Document object with filename and title
+   * @returns {Promise<object>} - Processing result with structure and metadata
+   */
+  async processDocument(doc) {
+    const extension = path.extname(doc.filename).toLowerCase();
+    if (this.imageExtensions.includes(extension)) {
+      return this.processImageDocument(doc);
+    }
+    return this.processPDF(doc);
+  }
+
+  /**
+   * Add the text-layer words under link and highlight annotations
+   * @param {Array} annotations - Annotations from PDFStructureReader
+   * @param {Array} textLayer - Per-page text layer from extractTextLayer
+   * @returns {Array} - Annotations with coveredText (null if unknown)
+   */
+  _attachCoveredText(annotations, textLayer) {
+    return annotations.map((annotation) => {
+      const page = textLayer[annotation.page - 1];
+      if (
+        annotation.kind === "comment" ||
+        !page ||
+        page.words.length === 0 ||
+        !annotation.normalizedBbox
+      ) {
+        return { ...annotation, coveredText: null };
+      }
+
+      // Highlights cover only their quads, not the whole bounding box
+      const boxes = annotation.normalizedQuads || [annotation.normalizedBbox];
+      const covered = page.words.filter((word) => {
+        const centerX = (word.bbox[0] + word.bbox[2]) / 2 / page.width;
+        const centerY = (word.bbox[1] + word.bbox[3]) / 2 / page.height;
+        return boxes.some(
+          ([x1, y1, x2, y2]) =>
+            centerX >= x1 && centerX <= x2 && centerY >= y1 && centerY <= y2
+        );
+      });
+
+      return {
+        ...annotation,
+        coveredText: covered.map((word) => word.text).join(" ") || null,
+      };
+    });
+  }
+
+  /**
+   * Add pixel bboxes to items positioned with normalized page boxes
+   * @param {Array} items - Items with page and normalizedBbox
+   * @param {Array} pageResults - Processed pages (image sizes)
+   * @returns {Array} - Items with bbox in page image pixels (null if unplaced)
+   */
+  _placeOnPages(items, pageResults) {
+    const pagesByNumber = new Map(
+      pageResults.map((pageResult) => [pageResult.pageNumber, pageResult])
+    );
+
+    return items.map((item) => {
+      const pageResult = pagesByNumber.get(item.page);
+      if (!pageResult || !item.normalizedBbox) return { ...item, bbox: null };
+
+      const [x1, y1, x2, y2] = item.normalizedBbox;
+      return {
+        ...item,
+        bbox: [
+          Math.round(x1 * pageResult.imageWidth),
+          Math.round(y1 * pageResult.imageHeight),
+          Math.round(x2 * pageResult.imageWidth),
+          Math.round(y2 * pageResult.imageHeight),
+        ],
+      };
+    });
+  }
+
+  /**
+   * Assemble the per-document result from processed pages
+   * @param {object} doc - Document object with filename and title
+   * @param {Array} pageResults - Processed pages in page order
+   * @param {object} [pdfStructure] - Embedded PDF structure (outline, form fields, annotations), if any
+   * @param {object} [language] - Document language from _detectDocumentLanguage
+   * @returns {object} - Document processing result
+   */
+  _buildDocumentResult(doc, pageResults, pdfStructure = {}, language = {}) {
+    return {
+      filename: doc.filename,
+      title: doc.title,
+      pageResults,
+      language: {
+        code: language.code || null,
+        source: language.source || null,
+        confidence: language.confidence || 0,
+        ocrLanguages: [
+          ...new Set(pageResults.map((page) => page.ocrLanguage).filter(Boolean)),
+        ],
+      },
+      outline: pdfStructure.outline || [],
+      formFields: this._placeOnPages(pdfStructure.formFields || [], pageResults),
+      annotations: this._placeOnPages(pdfStructure.annotations || [], pageResults),
+      metadata: {
+        totalPages: pageResults.length,
+        totalElements: pageResults.reduce(
+          (sum, page) => sum + page.detections.length,
+          0
+        ),
+        totalProcessingTime: pageResults.reduce(
+          (sum, page) => sum + page.processingTime,
+          0
+        ),
+      },
+    };
+  }
+
+  /**
+   * Process multiple documents (PDFs and images) with bounded concurrency
    * @param {Array} documents - Array of document objects
    * @returns {Promise<Array>} - Array of processing results
    */
   async processMultiplePDFs(documents) {
     console.log(
-      `🔄 [PDF Processor] Processing ${documents.length} PDFs in parallel...`
+      `🔄 [PDF Processor] Processing ${documents.length} documents (up to ${this.queues.documents.concurrency} at a time, ${this.queues.pages.concurrency} pages in flight)...`
     );
 
-    const processingPromises = documents.map((doc) => this.processPDF(doc));
+    const processingPromises = documents.map((doc) =>
+      this.queues.documents.run(() => this.processDocument(doc))
+    );
     const results = await Promise.all(processingPromises);
 
     console.log(
-      `✅ [PDF Processor] Completed processing all ${documents.length} PDFs`
+      `✅ [PDF Processor] Completed processing all ${documents.length} documents`
     );
     return results;
   }
@@ -383,21 +1386,45 @@ export class PDFProcessor {
    */
   async cleanup() {
     try {
-      // Terminate OCR worker
-      if (this.ocrWorker) {
-        await this.ocrWorker.terminate();
-        this.ocrWorker = null;
-        console.log("🧹 [PDF Processor] OCR worker terminated");
+      await this.pageNormalizer.cleanup();
+
+      // Terminate OCR workers
+      if (this.ocrSchedulers.size > 0) {
+        // Fallback languages share the default pool, so terminate each pool once
+        const schedulers = await Promise.allSettled(this.ocrSchedulers.values());
+        const pools = new Set(
+          schedulers
+            .filter((result) => result.status === "fulfilled")
+            .map((result) => result.value)
+        );
+        for (const scheduler of pools) await scheduler.terminate();
+        this.ocrSchedulers.clear();
+        this.ocrFallbackLanguages.clear();
+        console.log("🧹 [PDF Processor] OCR workers terminated");
       }
 
-      // Clean up temp directory
-      await fs.rm(this.tempDir, { recursive: true, force: true });
-      console.log("🧹 [PDF Processor] Temporary files cleaned up");
+      // Clean up temp directory (kept for inspection in debug mode)
+      if (this.keepTempImages) {
+        console.log(
+          `🧹 [PDF Processor] Temporary images kept in ${this.tempDir} (debug mode)`
+        );
+      } else {
+        await fs.rm(this.tempDir, { recursive: true, force: true });
+        console.log("🧹 [PDF Processor] Temporary files cleaned up");
+      }
     } catch (error) {
       console.warn("⚠️ [PDF Processor] Cleanup failed:", error.message);
     }
   }
 
+  /**
+   * Record peak resident memory usage
+   */
+  _sampleMemory() {
+    const rssMB = process.memoryUsage().rss / (1024 * 1024);
+    this.peakMemoryMB = Math.max(this.peakMemoryMB, Math.round(rssMB));
+  }
+
   /**
    * Get processor statistics
    * @returns {object} - Processing statistics
@@ -406,8 +1433,39 @@ export class PDFProcessor {
     return {
       initialized: this.isInitialized,
       ocrEnabled: this.ocrConfig.enabled,
+      ocrLanguages: this.ocrConfig.languages,
+      ocrLanguagePools: [...this.ocrSchedulers.keys()],
       confidenceThreshold: this.confidenceThreshold,
       tempDir: this.tempDir,
+      useTextLayer: this.useTextLayer,
+      textLayerRegions: this.stats.textLayerRegions,
+      ocrRegions: this.stats.ocrRegions,
+      tableRegions: this.stats.tableRegions,
+      autoDeskew: this.autoDeskew,
+      correctedPages: this.stats.correctedPages,
+      cropBenchmark: this.cropBenchmark
+        ? {
+            pages: this.stats.benchmarkPages,
+            legacyCropMs: Math.round(this.stats.legacyCropMs),
+            inMemoryCropMs: Math.round(this.stats.inMemoryCropMs),
+          }
+        : null,
+      scheduler: {
+        ocrWorkers: this.ocrConfig.workers,
+        queueDepth: Object.fromEntries(
+          Object.entries(this.queues).map(([name, queue]) => [
+            name,
+            queue.queueDepth,
+          ])
+        ),
+        stages: Object.fromEntries(
+          Object.entries(this.queues).map(([name, queue]) => [
+            name,
+            queue.getStats(),
+          ])
+        ),
+        peakMemoryMB: this.peakMemoryMB,
+      },
     };
   }
 }
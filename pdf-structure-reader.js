@@ -0,0 +1,604 @@
+// pdf-structure-reader.js - Embedded PDF Structure (Outline/Bookmarks, Form Fields, Annotations)
+import fs from "fs-extra";
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFString,
+  PDFHexString,
+  PDFNumber,
+  PDFRef,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFButton,
+  PDFSignature,
+} from "pdf-lib";
+
+export class PDFStructureReader {
+  constructor(config = {}) {
+    this.maxOutlineItems = config.maxOutlineItems || 5000; // Guards against malformed outlines
+
+    // Annotation subtypes kept, by the kind reported downstream
+    this.annotationKinds = {
+      Link: "link",
+      Text: "comment",
+      FreeText: "comment",
+      Highlight: "highlight",
+      Underline: "highlight",
+      StrikeOut: "highlight",
+      Squiggly: "highlight",
+    };
+  }
+
+  /**
+   * Read the embedded structure of a PDF
+   * @param {string} pdfPath - Path to PDF file
+   * @returns {Promise<object>} - { outline, formFields, annotations, pageRotations } (empty when the PDF has none or cannot be parsed)
+   */
+  async read(pdfPath) {
+    try {
+      const pdfDoc = await PDFDocument.load(await fs.readFile(pdfPath), {
+        ignoreEncryption: true,
+        updateMetadata: false,
+      });
+
+      const outline = this.getOutline(pdfDoc);
+      if (outline.length > 0) {
+        console.log(
+          `📑 [PDF Structure] ${outline.length} bookmarks found in ${pdfPath}`
+        );
+      }
+
+      const formFields = this.getFormFields(pdfDoc);
+      if (formFields.length > 0) {
+        console.log(
+          `📝 [PDF Structure] ${formFields.length} form fields found in ${pdfPath}`
+        );
+      }
+
+      const annotations = this.getAnnotations(pdfDoc);
+      if (annotations.length > 0) {
+        console.log(
+          `🔗 [PDF Structure] ${annotations.length} links/comments/highlights found in ${pdfPath}`
+        );
+      }
+
+      // Text-layer coordinates follow the displayed (rotated) page
+      const pageRotations = pdfDoc
+        .getPages()
+        .map((page) => this._pageGeometry(page).rotation);
+
+      return { outline, formFields, annotations, pageRotations };
+    } catch (error) {
+      console.warn(
+        `⚠️ [PDF Structure] Could not read structure of ${pdfPath}:`,
+        error.message
+      );
+      return { outline: [], formFields: [], annotations: [], pageRotations: [] };
+    }
+  }
+
+  /**
+   * Flatten the outline (bookmark) tree in document order
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @returns {Array} - Entries { index, title, level, parentIndex, page, top }
+   */
+  getOutline(pdfDoc) {
+    const outlines = pdfDoc.catalog.lookup(PDFName.of("Outlines"));
+    if (!(outlines instanceof PDFDict)) return [];
+
+    const pageIndexByRef = new Map(
+      pdfDoc.getPages().map((page, index) => [page.ref.toString(), index])
+    );
+    const entries = [];
+    const visited = new Set();
+
+    // Depth-first walk over First/Next links; parents precede their children
+    const walk = (firstRef, level, parentIndex) => {
+      let ref = firstRef;
+      while (ref && entries.length < this.maxOutlineItems) {
+        const key = ref.toString();
+        if (visited.has(key)) break;
+        visited.add(key);
+
+        const item = pdfDoc.context.lookup(ref);
+        if (!(item instanceof PDFDict)) break;
+
+        const destination = this._resolveDestination(
+          pdfDoc,
+          this._getItemDestination(item),
+          pageIndexByRef
+        );
+        const entry = {
+          index: entries.length,
+          title: this._decodeText(item.lookup(PDFName.of("Title"))),
+          level,
+          parentIndex,
+          page: destination ? destination.page : null,
+          top: destination ? destination.top : null,
+        };
+        entries.push(entry);
+
+        const first = item.get(PDFName.of("First"));
+        if (first instanceof PDFRef) walk(first, level + 1, entry.index);
+
+        const next = item.get(PDFName.of("Next"));
+        ref = next instanceof PDFRef ? next : null;
+      }
+    };
+
+    const first = outlines.get(PDFName.of("First"));
+    if (first instanceof PDFRef) walk(first, 1, null);
+
+    return entries;
+  }
+
+  /**
+   * Extract AcroForm fields with their values and widget positions
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @returns {Array} - Fields { name, label, type, value, options, required, readOnly, page, rect, normalizedBbox, widgets }
+   */
+  getFormFields(pdfDoc) {
+    let fields;
+    try {
+      fields = pdfDoc.getForm().getFields();
+    } catch (error) {
+      console.warn(
+        "⚠️ [PDF Structure] Could not read form fields:",
+        error.message
+      );
+      return [];
+    }
+    if (fields.length === 0) return [];
+
+    const pages = pdfDoc.getPages();
+    const pageIndexByRef = new Map(
+      pages.map((page, index) => [page.ref.toString(), index])
+    );
+
+    // Widgets without a /P entry are found through the pages' /Annots arrays
+    const pageIndexByAnnotation = new Map();
+    pages.forEach((page, index) => {
+      const annotations = page.node.Annots();
+      if (!annotations) return;
+      for (let i = 0; i < annotations.size(); i++) {
+        const ref = annotations.get(i);
+        if (ref instanceof PDFRef) {
+          pageIndexByAnnotation.set(ref.toString(), index);
+        }
+      }
+    });
+
+    const formFields = [];
+    for (const field of fields) {
+      try {
+        const widgets = field.acroField
+          .getWidgets()
+          .map((widget) => {
+            const pageRef = widget.P();
+            let pageIndex = pageRef
+              ? pageIndexByRef.get(pageRef.toString())
+              : undefined;
+            if (pageIndex === undefined) {
+              const widgetRef = pdfDoc.context.getObjectRef(widget.dict);
+              pageIndex = widgetRef
+                ? pageIndexByAnnotation.get(widgetRef.toString())
+                : undefined;
+            }
+            if (pageIndex === undefined) return null;
+
+            const { x, y, width, height } = widget.getRectangle();
+            const rect = [x, y, x + width, y + height];
+            return {
+              page: pageIndex + 1,
+              rect,
+              normalizedBbox: this._normalizeRect(rect, pages[pageIndex]),
+            };
+          })
+          .filter(Boolean);
+
+        const first = widgets[0] || null;
+        formFields.push({
+          name: field.getName(),
+          label:
+            this._decodeText(field.acroField.dict.lookup(PDFName.of("TU"))) ||
+            null,
+          ...this._getFieldValue(field),
+          required: field.isRequired(),
+          readOnly: field.isReadOnly(),
+          page: first ? first.page : null,
+          rect: first ? first.rect : null,
+          normalizedBbox: first ? first.normalizedBbox : null,
+          widgets,
+        });
+      } catch (error) {
+        console.warn(
+          `⚠️ [PDF Structure] Skipping unreadable form field:`,
+          error.message
+        );
+      }
+    }
+
+    return formFields;
+  }
+
+  /**
+   * Extract link, comment and highlight annotations page by page
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @returns {Array} - Annotations { kind, subtype, page, rect, normalizedBbox, normalizedQuads, url, targetPage, targetTop, contents, author }
+   */
+  getAnnotations(pdfDoc) {
+    const pages = pdfDoc.getPages();
+    const pageIndexByRef = new Map(
+      pages.map((page, index) => [page.ref.toString(), index])
+    );
+    const annotations = [];
+
+    pages.forEach((page, pageIndex) => {
+      const annots = page.node.Annots();
+      if (!annots) return;
+
+      for (let i = 0; i < annots.size(); i++) {
+        const annot = annots.lookup(i);
+        if (!(annot instanceof PDFDict)) continue;
+
+        const subtype = annot.lookup(PDFName.of("Subtype"));
+        const kind =
+          subtype instanceof PDFName
+            ? this.annotationKinds[subtype.decodeText()]
+            : null;
+        if (!kind) continue;
+
+        // Text markup marks only its quadrilaterals; /Rect is padded and,
+        // for multi-line highlights, spans whole lines
+        const quads =
+          kind === "highlight"
+            ? this._readQuadPoints(annot.lookup(PDFName.of("QuadPoints")))
+            : null;
+        const rect = quads
+          ? [
+              Math.min(...quads.map((quad) => quad[0])),
+              Math.min(...quads.map((quad) => quad[1])),
+              Math.max(...quads.map((quad) => quad[2])),
+              Math.max(...quads.map((quad) => quad[3])),
+            ]
+          : this._readRect(annot.lookup(PDFName.of("Rect")));
+        if (!rect) continue;
+
+        const annotation = {
+          kind,
+          subtype: subtype.decodeText(),
+          page: pageIndex + 1,
+          rect,
+          normalizedBbox: this._normalizeRect(rect, page),
+          normalizedQuads: quads
+            ? quads.map((quad) => this._normalizeRect(quad, page))
+            : null,
+          url: null,
+          targetPage: null,
+          targetTop: null,
+          contents:
+            this._decodeText(annot.lookup(PDFName.of("Contents"))) || null,
+          author: this._decodeText(annot.lookup(PDFName.of("T"))) || null,
+        };
+
+        if (kind === "link") {
+          const action = annot.lookup(PDFName.of("A"));
+          const uri =
+            action instanceof PDFDict &&
+            action.lookup(PDFName.of("S")) === PDFName.of("URI")
+              ? action.lookup(PDFName.of("URI"))
+              : null;
+
+          if (uri) {
+            annotation.url = this._decodeText(uri) || null;
+          } else {
+            const destination = this._resolveDestination(
+              pdfDoc,
+              this._getItemDestination(annot),
+              pageIndexByRef
+            );
+            if (destination) {
+              annotation.targetPage = destination.page;
+              annotation.targetTop = destination.top;
+            }
+          }
+          if (!annotation.url && !annotation.targetPage) continue;
+        }
+
+        annotations.push(annotation);
+      }
+    });
+
+    return annotations;
+  }
+
+  /**
+   * Read a PDF rectangle array
+   * @param {any} value - PDFArray of four numbers
+   * @returns {Array|null} - [x1, y1, x2, y2] ordered, or null
+   */
+  _readRect(value) {
+    if (!(value instanceof PDFArray) || value.size() !== 4) return null;
+
+    const numbers = [0, 1, 2, 3].map((i) => value.lookup(i));
+    if (!numbers.every((number) => number instanceof PDFNumber)) return null;
+
+    const [x1, y1, x2, y2] = numbers.map((number) => number.asNumber());
+    return [
+      Math.min(x1, x2),
+      Math.min(y1, y2),
+      Math.max(x1, x2),
+      Math.max(y1, y2),
+    ];
+  }
+
+  /**
+   * Read text markup QuadPoints as one rectangle per quadrilateral
+   * @param {any} value - PDFArray of 8 numbers per quadrilateral
+   * @returns {Array|null} - [x1, y1, x2, y2] per quadrilateral, or null
+   */
+  _readQuadPoints(value) {
+    if (!(value instanceof PDFArray) || value.size() === 0 || value.size() % 8 !== 0) {
+      return null;
+    }
+
+    const numbers = [];
+    for (let i = 0; i < value.size(); i++) {
+      const number = value.lookup(i);
+      if (!(number instanceof PDFNumber)) return null;
+      numbers.push(number.asNumber());
+    }
+
+    const quads = [];
+    for (let i = 0; i < numbers.length; i += 8) {
+      const xs = [0, 2, 4, 6].map((offset) => numbers[i + offset]);
+      const ys = [1, 3, 5, 7].map((offset) => numbers[i + offset]);
+      quads.push([Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)]);
+    }
+    return quads;
+  }
+
+  /**
+   * Get a form field's type, current value and choices
+   * @param {PDFField} field - pdf-lib form field
+   * @returns {object} - { type, value, options }
+   */
+  _getFieldValue(field) {
+    if (field instanceof PDFTextField) {
+      return { type: "text", value: field.getText() || "", options: [] };
+    }
+    if (field instanceof PDFCheckBox) {
+      return { type: "checkbox", value: field.isChecked(), options: [] };
+    }
+    if (field instanceof PDFRadioGroup) {
+      return {
+        type: "radio",
+        value: field.getSelected() || null,
+        options: field.getOptions(),
+      };
+    }
+    if (field instanceof PDFDropdown) {
+      return {
+        type: "dropdown",
+        value: field.getSelected(),
+        options: field.getOptions(),
+      };
+    }
+    if (field instanceof PDFOptionList) {
+      return {
+        type: "list",
+        value: field.getSelected(),
+        options: field.getOptions(),
+      };
+    }
+    if (field instanceof PDFButton) {
+      return { type: "button", value: null, options: [] };
+    }
+    if (field instanceof PDFSignature) {
+      return { type: "signature", value: null, options: [] };
+    }
+    return { type: "unknown", value: null, options: [] };
+  }
+
+  /**
+   * Visible page area and display rotation; pages are rendered from the
+   * CropBox and turned clockwise by /Rotate
+   * @param {PDFPage} page - pdf-lib page
+   * @returns {object} - { x, y, width, height, rotation (0, 90, 180 or 270) }
+   */
+  _pageGeometry(page) {
+    const { x, y, width, height } = page.getCropBox();
+    const rotation = (((page.getRotation().angle || 0) % 360) + 360) % 360;
+    return { x, y, width, height, rotation };
+  }
+
+  /**
+   * Convert a PDF point (bottom-left origin) to normalized coordinates of
+   * the rendered page (top-left origin, rotation applied)
+   * @param {number} px - X in PDF points
+   * @param {number} py - Y in PDF points
+   * @param {object} geometry - Result of _pageGeometry
+   * @returns {Array} - [x, y] as fractions of the rendered page size
+   */
+  _normalizePoint(px, py, geometry) {
+    const u = (px - geometry.x) / geometry.width;
+    const v = 1 - (py - geometry.y) / geometry.height;
+    switch (geometry.rotation) {
+      case 90:
+        return [1 - v, u];
+      case 180:
+        return [1 - u, 1 - v];
+      case 270:
+        return [v, 1 - u];
+      default:
+        return [u, v];
+    }
+  }
+
+  /**
+   * Convert a PDF rectangle (points, bottom-left origin) to a normalized
+   * top-left-origin box on the rendered page
+   * @param {Array} rect - [x1, y1, x2, y2] in PDF points
+   * @param {PDFPage} page - Page the rectangle is on
+   * @returns {Array} - [x1, y1, x2, y2] as fractions of the page size
+   */
+  _normalizeRect(rect, page) {
+    const geometry = this._pageGeometry(page);
+    const [ax, ay] = this._normalizePoint(rect[0], rect[1], geometry);
+    const [bx, by] = this._normalizePoint(rect[2], rect[3], geometry);
+    const clamp = (value) =>
+      parseFloat(Math.min(1, Math.max(0, value)).toFixed(4));
+
+    return [
+      clamp(Math.min(ax, bx)),
+      clamp(Math.min(ay, by)),
+      clamp(Math.max(ax, bx)),
+      clamp(Math.max(ay, by)),
+    ];
+  }
+
+  /**
+   * Get an outline item's or link's destination from /Dest or a GoTo action
+   * @param {PDFDict} item - Outline item or link annotation
+   * @returns {any} - Explicit destination array, named destination, or null
+   */
+  _getItemDestination(item) {
+    const dest = item.lookup(PDFName.of("Dest"));
+    if (dest) return dest;
+
+    const action = item.lookup(PDFName.of("A"));
+    if (
+      action instanceof PDFDict &&
+      action.lookup(PDFName.of("S")) === PDFName.of("GoTo")
+    ) {
+      return action.lookup(PDFName.of("D")) || null;
+    }
+    return null;
+  }
+
+  /**
+   * Resolve a destination to a 1-based page number and vertical position
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {any} dest - Explicit or named destination
+   * @param {Map} pageIndexByRef - Page ref string -> 0-based page index
+   * @returns {object|null} - { page, top } with top normalized from the page top, or null
+   */
+  _resolveDestination(pdfDoc, dest, pageIndexByRef) {
+    if (!dest) return null;
+
+    // Named destinations point into the catalog's Dests dictionary or name tree
+    if (!(dest instanceof PDFArray)) {
+      dest = this._lookupNamedDestination(pdfDoc, dest);
+      if (dest instanceof PDFDict) dest = dest.lookup(PDFName.of("D"));
+      if (!(dest instanceof PDFArray)) return null;
+    }
+
+    const pageRef = dest.get(0);
+    const pageIndex =
+      pageRef instanceof PDFRef ? pageIndexByRef.get(pageRef.toString()) : null;
+    if (pageIndex === undefined || pageIndex === null) return null;
+
+    // [page /XYZ left top zoom] and [page /FitH top] carry a vertical position
+    const mode = dest.lookup(1);
+    let leftValue = null;
+    let topValue = null;
+    if (mode === PDFName.of("XYZ")) {
+      leftValue = dest.lookup(2);
+      topValue = dest.lookup(3);
+    } else if (mode === PDFName.of("FitH") || mode === PDFName.of("FitBH")) {
+      topValue = dest.lookup(2);
+    }
+
+    let top = null;
+    const geometry = this._pageGeometry(pdfDoc.getPage(pageIndex));
+    const hasLeft = leftValue instanceof PDFNumber;
+    // On pages turned by 90/270 degrees the rendered top comes from the PDF x
+    if (topValue instanceof PDFNumber && (hasLeft || geometry.rotation % 180 === 0)) {
+      const [, normalized] = this._normalizePoint(
+        hasLeft ? leftValue.asNumber() : geometry.x,
+        topValue.asNumber(),
+        geometry
+      );
+      top = parseFloat(Math.min(1, Math.max(0, normalized)).toFixed(4));
+    }
+
+    return { page: pageIndex + 1, top };
+  }
+
+  /**
+   * Look up a named destination
+   * @param {PDFDocument} pdfDoc - Loaded pdf-lib document
+   * @param {any} name - PDFName or PDF string naming the destination
+   * @returns {any} - Destination array/dict, or null
+   */
+  _lookupNamedDestination(pdfDoc, name) {
+    const key =
+      name instanceof PDFName ? name.decodeText() : this._decodeText(name);
+    if (!key) return null;
+
+    // PDF 1.1 style: /Dests dictionary in the catalog
+    const dests = pdfDoc.catalog.lookup(PDFName.of("Dests"));
+    if (dests instanceof PDFDict) {
+      const value = dests.lookup(PDFName.of(key));
+      if (value) return value;
+    }
+
+    // PDF 1.2+: /Names /Dests name tree
+    const names = pdfDoc.catalog.lookup(PDFName.of("Names"));
+    if (names instanceof PDFDict) {
+      const tree = names.lookup(PDFName.of("Dests"));
+      if (tree instanceof PDFDict) return this._searchNameTree(tree, key);
+    }
+    return null;
+  }
+
+  /**
+   * Find a key in a PDF name tree
+   * @param {PDFDict} node - Name tree node
+   * @param {string} key - Name to find
+   * @param {number} [depth] - Current recursion depth
+   * @returns {any} - Value stored under the key, or null
+   */
+  _searchNameTree(node, key, depth = 0) {
+    if (depth > 32) return null;
+
+    const names = node.lookup(PDFName.of("Names"));
+    if (names instanceof PDFArray) {
+      for (let i = 0; i + 1 < names.size(); i += 2) {
+        if (this._decodeText(names.lookup(i)) === key) {
+          return names.lookup(i + 1);
+        }
+      }
+    }
+
+    const kids = node.lookup(PDFName.of("Kids"));
+    if (kids instanceof PDFArray) {
+      for (let i = 0; i < kids.size(); i++) {
+        const kid = kids.lookup(i);
+        if (!(kid instanceof PDFDict)) continue;
+        const found = this._searchNameTree(kid, key, depth + 1);
+        if (found) return found;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Decode a PDF text string
+   * @param {any} value - PDFString, PDFHexString or other object
+   * @returns {string} - Decoded, trimmed text ("" if not a string)
+   */
+  _decodeText(value) {
+    if (value instanceof PDFString || value instanceof PDFHexString) {
+      return value.decodeText().replace(/\s+/g, " ").trim();
+    }
+    return "";
+  }
+}
+
+export default PDFStructureReader;
@@ -0,0 +1,117 @@
+// reading-order.js - Layout-Based Reading Order (Recursive XY-Cut)
+
+export class ReadingOrder {
+  constructor(config = {}) {
+    this.minColumnGap = config.minColumnGap || 5; // Min horizontal whitespace (px) between columns
+    this.minRowGap = config.minRowGap || 0; // Min vertical whitespace (px) between bands
+    this.overlapTolerance = config.overlapTolerance || 3; // Px of box overlap still treated as a gap
+    this.lineTolerance = config.lineTolerance || 20; // Center-Y tolerance when no cut is possible
+  }
+
+  /**
+   * Order layout elements for reading, handling columns, sidebars and
+   * full-width headers/figures
+   * @param {Array} items - Elements with bbox [x1, y1, x2, y2]
+   * @param {Function} [getBox] - Returns the box to order an element by
+   * @returns {Array} - New array in reading order
+   */
+  sort(items, getBox = (item) => item.bbox) {
+    const boxed = items.map((item) => ({ item, bbox: getBox(item) }));
+    return this._order(boxed).map((entry) => entry.item);
+  }
+
+  /**
+   * Recursively cut a region into columns and bands
+   * @param {Array} items - Elements in the current region
+   * @returns {Array} - Elements in reading order
+   */
+  _order(items) {
+    if (items.length <= 1) return items;
+
+    // Columns first: a gutter running through the whole region wins
+    const columns = this._split(items, "x");
+    if (columns.length > 1) {
+      return columns.flatMap((column) => this._order(column));
+    }
+
+    const bands = this._split(items, "y");
+    if (bands.length > 1) {
+      // Consecutive multi-column bands belong to the same column layout;
+      // only full-width bands (headers, figures, single-column text) break it
+      const groups = [];
+      let group = [];
+      for (const band of bands) {
+        if (this._split(band, "x").length > 1) {
+          group.push(...band);
+        } else {
+          if (group.length > 0) groups.push(group);
+          groups.push(band);
+          group = [];
+        }
+      }
+      if (group.length > 0) groups.push(group);
+
+      // Bands with differing column layouts cannot be cut further as a whole
+      const regions = groups.length > 1 ? groups : bands;
+      return regions.flatMap((region) => this._order(region));
+    }
+
+    return this._sortByPosition(items);
+  }
+
+  /**
+   * Split elements at whitespace gaps along one axis
+   * @param {Array} items - Elements to split
+   * @param {string} axis - "x" for columns, "y" for bands
+   * @returns {Array} - Groups of elements, in axis order
+   */
+  _split(items, axis) {
+    const [start, end] = axis === "x" ? [0, 2] : [1, 3];
+    const minGap = axis === "x" ? this.minColumnGap : this.minRowGap;
+
+    const intervals = items
+      .map((item) => {
+        const size = item.bbox[end] - item.bbox[start];
+        const shrink = Math.min(this.overlapTolerance, size / 4);
+        return {
+          item,
+          start: item.bbox[start] + shrink,
+          end: item.bbox[end] - shrink,
+        };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    const groups = [];
+    let current = null;
+    for (const interval of intervals) {
+      if (current && interval.start - current.end < minGap) {
+        current.items.push(interval.item);
+        current.end = Math.max(current.end, interval.end);
+      } else {
+        current = { items: [interval.item], end: interval.end };
+        groups.push(current);
+      }
+    }
+
+    return groups.map((group) => group.items);
+  }
+
+  /**
+   * Fallback ordering for elements that cannot be separated: top to bottom,
+   * left to right
+   * @param {Array} items - Elements to sort
+   * @returns {Array} - Sorted elements
+   */
+  _sortByPosition(items) {
+    const centerY = (item) => (item.bbox[1] + item.bbox[3]) / 2;
+    const centerX = (item) => (item.bbox[0] + item.bbox[2]) / 2;
+
+    return [...items].sort((a, b) => {
+      const yDiff = centerY(a) - centerY(b);
+      if (Math.abs(yDiff) > this.lineTolerance) return yDiff;
+      return centerX(a) - centerX(b);
+    });
+  }
+}
+
+export default ReadingOrder;
@@ -0,0 +1,153 @@
+// section-annotator.js - Section Keyphrases (TF-IDF) and Entity Extraction
+import natural from "natural";
+
+const { TfIdf, stopwords } = natural;
+
+export class SectionAnnotator {
+  constructor(config = {}) {
+    this.maxKeyphrases = config.maxKeyphrases || 8; // Keyphrases kept per section
+    this.minTermLength = config.minTermLength || 3; // Shorter words are not keyphrases
+    this.stopwords = new Set(stopwords);
+
+    const month =
+      "(?:Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)";
+    const date = [
+      "\\d{4}-\\d{2}-\\d{2}", // 2024-03-15
+      "\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4}", // 15/03/2024, 03.15.24
+      `${month}\\.? \\d{1,2}(?:st|nd|rd|th)?,? \\d{4}`, // March 15, 2024
+      `\\d{1,2}(?:st|nd|rd|th)? (?:of )?${month}\\.?,? \\d{4}`, // 15 March 2024
+      `${month}\\.? \\d{4}`, // March 2024
+    ].join("|");
+    const period =
+      "\\d+ (?:business |working |calendar )?(?:days?|weeks?|months?|years?)";
+
+    // Entity patterns; each match is stored trimmed and de-duplicated
+    this.entityPatterns = {
+      dates: new RegExp(`\\b(?:${date})\\b`, "gi"),
+      deadlines: new RegExp(
+        `\\b(?:due(?: date)?|deadline|no later than|not later than|expires?(?: on)?|valid until|(?:submit|return|complete|file|send|apply)\\w*\\b[^.;\\n]{0,40}?\\b(?:by|before|within|until))\\b[^.;\\n]{0,40}?\\b(?:${date}|${period})\\b`,
+        "gi"
+      ),
+      money: /(?:[$€£¥₹]\s?\d[\d,]*(?:\.\d+)?(?:\s?(?:million|billion|thousand|[kKmM]|bn)\b)?|\b\d[\d,]*(?:\.\d+)?\s?(?:USD|EUR|GBP|INR|JPY|dollars|euros|pounds|rupees)\b)/g,
+      emails: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)*\.[A-Za-z]{2,}\b/g,
+      // Phone shapes: +country code, (area code), 555-123-4567, or three or more groups
+      phones: /(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{1,4}(?:[\s.-]\d{2,4}){1,4}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]\d{3,4}|\b\d{3}[.-]\d{3}[.-]\d{4}|\b\d{2,4}(?:[\s.-]\d{2,4}){2,3})\b/g,
+      identifiers: /\b(?:(?:Form|Policy|Procedure|Regulation|Standard|Ref(?:erence)?|Claim|Contract|Case|Certificate|Permit|License)\s*(?:No\.?|Number|#|ID)?\s*[:#]?\s*[A-Z]{0,6}-?\d[\w./-]*|(?:Form|Policy|Procedure|Standard)\s+[A-Z]{1,6}(?:-[A-Z0-9]+)+|[A-Z]{2,6}-\d{2,}(?:-\d+)*)\b/g,
+    };
+  }
+
+  /**
+   * Annotate every section of a document set with keyphrases and entities.
+   * TF-IDF treats each section as a document, so keyphrases are terms that
+   * set a section apart from the rest of the collection
+   * @param {Array} structures - Document structures from DocumentAnalyzer
+   * @returns {number} - Number of annotated sections
+   */
+  annotateDocuments(structures) {
+    const tfidf = new TfIdf();
+    const sections = [];
+
+    for (const structure of structures) {
+      for (const section of structure.sections) {
+        tfidf.addDocument(this._terms(this._sectionText(section)));
+        sections.push(section);
+      }
+    }
+
+    sections.forEach((section, index) => {
+      section.keyphrases = this._topKeyphrases(tfidf.listTerms(index));
+      section.entities = this.extractEntities(this._sectionText(section));
+    });
+
+    console.log(
+      `🔖 [Section Annotator] Annotated ${sections.length} sections across ${structures.length} documents`
+    );
+    return sections.length;
+  }
+
+  /**
+   * Extract dates, deadlines, amounts, emails, phone numbers and form/policy identifiers
+   * @param {string} text - Text to search
+   * @returns {object} - Arrays of matched strings keyed by entity type
+   */
+  extractEntities(text) {
+    const entities = {};
+    for (const [type, pattern] of Object.entries(this.entityPatterns)) {
+      const found = (text.match(pattern) || []).map((match) =>
+        match.trim().replace(/\s+/g, " ")
+      );
+      entities[type] = [...new Set(found)];
+    }
+
+    // Dates, year and page ranges look like phone numbers; keep 7-15 digit
+    // numbers that are neither dates nor contain a "2019-2020" style range
+    entities.phones = entities.phones.filter((phone) => {
+      const digits = phone.replace(/\D/g, "").length;
+      return (
+        digits >= 7 &&
+        digits <= 15 &&
+        !/\b\d{4}\s?[-–]\s?\d{4}\b/.test(phone) &&
+        !entities.dates.some((date) => date.includes(phone) || phone.includes(date))
+      );
+    });
+
+    return entities;
+  }
+
+  /**
+   * Heading plus content text of a section
+   * @param {object} section - Section from the document structure
+   * @returns {string} - Section text
+   */
+  _sectionText(section) {
+    const title = ["preamble", "page"].includes(section.source) ? "" : section.title;
+    return [title, ...section.content.map((content) => content.text)].join("\n");
+  }
+
+  /**
+   * Tokenize text into unigram and bigram terms without stopwords
+   * @param {string} text - Text to tokenize
+   * @returns {Array} - Terms ("policy", "leave policy", ...)
+   */
+  _terms(text) {
+    const terms = [];
+    let previous = null;
+    for (const word of text.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []) {
+      const useful =
+        word.length >= this.minTermLength &&
+        !this.stopwords.has(word) &&
+        /\p{L}/u.test(word);
+      if (!useful) {
+        previous = null;
+        continue;
+      }
+      terms.push(word);
+      if (previous) terms.push(`${previous} ${word}`);
+      previous = word;
+    }
+    return terms;
+  }
+
+  /**
+   * Pick the highest-scoring terms, skipping words already covered by a
+   * chosen phrase
+   * @param {Array} terms - Terms with tfidf from TfIdf.listTerms
+   * @returns {Array} - Keyphrases { phrase, score }
+   */
+  _topKeyphrases(terms) {
+    const keyphrases = [];
+    for (const { term, tfidf } of terms) {
+      if (keyphrases.length >= this.maxKeyphrases) break;
+      const covered = keyphrases.some(
+        (keyphrase) =>
+          keyphrase.phrase.split(" ").includes(term) ||
+          term.split(" ").includes(keyphrase.phrase)
+      );
+      if (covered) continue;
+      keyphrases.push({ phrase: term, score: parseFloat(tfidf.toFixed(3)) });
+    }
+    return keyphrases;
+  }
+}
+
+export default SectionAnnotator;
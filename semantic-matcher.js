@@ -1,19 +1,53 @@
 // semantic-matcher.js - Advanced Semantic Matching Engine
-import { cosineSimilarity, fuzzyMatch } from "./matching_utils.js";
+import { getScorer } from "./matching_utils.js";
+import BM25Index from "./bm25-index.js";
+import TableExtractor from "./table-extractor.js";
 
 export class SemanticMatcher {
-  constructor(ollamaHandler = null, config = {}) {
+  constructor(ollamaHandler = null, config = {}, embeddingScorer = null) {
     this.ollamaHandler = ollamaHandler;
+    this.embeddingScorer = embeddingScorer; // Optional EmbeddingScorer (local sentence embeddings)
     this.config = {
       minMatchScore: config.minMatchScore || 0.1,
       aiEnhancedMode: config.aiEnhancedMode !== false, // Default to true if Ollama available
-      fuzzyWeight: config.fuzzyWeight || 0.3,
-      cosineWeight: config.cosineWeight || 0.4,
-      aiWeight: config.aiWeight || 0.3,
+      // Scorer name -> weight. Text scorers come from the matching_utils
+      // registry; "embedding", "bm25" and "ai" are the matcher's own signals.
+      // Without scorers, the legacy fuzzy/cosine/ai weights keep their old mix
+      scorers: config.scorers || {
+        fuzzy: config.fuzzyWeight ?? 0.3,
+        cosine: config.cosineWeight ?? 0.4,
+        ai: config.aiWeight ?? 0.3, // Blend fraction (0-1), not a summed weight; see _calculateFinalScore
+        // Embedding (needs a loaded model) and BM25 (needs the corpus index) only when weighted explicitly
+        ...(config.embeddingWeight !== undefined && { embedding: config.embeddingWeight }),
+        ...(config.bm25Weight !== undefined && { bm25: config.bm25Weight }),
+      },
+      bm25Enabled: config.bm25Enabled !== false, // Corpus BM25F first-stage retrieval (needs buildCorpusIndex)
+      bm25K1: config.bm25K1 ?? 1.2,
+      bm25B: config.bm25B ?? 0.75,
+      bm25TopK: config.bm25TopK || 50, // Candidates kept per topic in each document
+      bm25FieldWeights: config.bm25FieldWeights || { title: 2, header: 1.5, body: 1 },
       maxConcurrentAIRequests: config.maxConcurrentAIRequests || 3,
+      pageQualityWeight: config.pageQualityWeight ?? 0.5, // How strongly poor pages are down-weighted (0 = off)
+      keyphraseWeight: config.keyphraseWeight ?? 0.1, // Bonus when topic words are section keyphrases
+      entityWeight: config.entityWeight ?? 0.05, // Bonus when a section has entities the topic asks for
       timeoutMs: config.timeoutMs || 30000,
     };
 
+    // Topic words that ask for a kind of entity (see SectionAnnotator)
+    this.entityCues = {
+      dates: /\b(dates?|when|schedule|timeline|calendar)\b/i,
+      deadlines: /\b(deadlines?|due|submit\w*|expir\w*|renew\w*|cut-?off)\b/i,
+      money: /\b(costs?|prices?|fees?|budget\w*|amounts?|pay\w*|salar\w*|expenses?|money|reimburs\w*)\b|[$€£]/i,
+      emails: /\b(e-?mails?|contacts?)\b/i,
+      phones: /\b(phones?|call|contacts?|telephone|hotline)\b/i,
+      identifiers: /\b(forms?|polic\w*|regulations?|standards?|reference|procedures?)\b/i,
+    };
+
+    this.bm25Index = null;
+    this.tableExtractor = new TableExtractor();
+    this.signalScorers = new Set(["embedding", "bm25", "ai"]);
+    this.missingScorers = new Set(); // Configured names without a registered scorer, warned once
+
     this.stats = {
       totalMatches: 0,
       aiEnhancedMatches: 0,
@@ -22,20 +56,94 @@ export class SemanticMatcher {
     };
   }
 
+  /**
+   * Build the corpus BM25F index over every document's search index, so
+   * IDF and scores are shared by all documents. Each element is indexed with
+   * its text (body) and its section heading (header); the document title is
+   * indexed once, as its own unit, so it cannot lift every element
+   * @param {Array} documents - { filename, structure } for every input document
+   * @returns {BM25Index|null} - The index, or null if BM25 is disabled
+   */
+  buildCorpusIndex(documents) {
+    if (!this.config.bm25Enabled) return null;
+
+    this.bm25Index = new BM25Index({
+      k1: this.config.bm25K1,
+      b: this.config.bm25B,
+      fieldWeights: this.config.bm25FieldWeights,
+    });
+
+    for (const { filename, structure } of documents) {
+      const sectionsByIndex = new Map(
+        structure.sections.map((section) => [section.index, section])
+      );
+      this._createSearchIndex(structure).forEach((element, index) => {
+        const section = sectionsByIndex.get(element.section);
+        const header =
+          section && !["preamble", "page"].includes(section.source)
+            ? section.title
+            : null;
+
+        this.bm25Index.add(
+          this._elementKey(filename, index),
+          element.type === "title"
+            ? { title: element.text }
+            : element.type === "section-header"
+              ? { header: element.text }
+              : { body: element.text, header },
+          filename
+        );
+      });
+    }
+
+    const { units, terms } = this.bm25Index.getStats();
+    console.log(
+      `📚 [Semantic Matcher] BM25 index: ${units} elements, ${terms} terms across ${documents.length} documents`
+    );
+    return this.bm25Index;
+  }
+
   /**
    * Find best matches between topics and document content
    * @param {Array} topics - Array of curated topics
    * @param {object} documentStructure - Document structure from analyzer
    * @param {string} filename - Document filename
+   * @param {object} [options] - { pageQuality }: per-page { pageNumber, score } from analyzeDocumentQuality
    * @returns {Promise<Array>} - Array of match objects
    */
-  async findBestMatches(topics, documentStructure, filename) {
+  async findBestMatches(topics, documentStructure, filename, options = {}) {
     console.log(
       `🔍 [Semantic Matcher] Finding matches for ${topics.length} topics in ${filename}`
     );
 
     const matches = [];
     const searchIndex = this._createSearchIndex(documentStructure);
+    searchIndex.forEach((element, index) => {
+      element.key = this._elementKey(filename, index);
+    });
+
+    // Embeddings are computed in batches up front so scoring stays synchronous
+    if (this._embeddingsEnabled()) {
+      await this.embeddingScorer.precompute([
+        ...topics,
+        ...searchIndex.map((element) => element.text),
+      ]);
+    }
+
+    // Content from badly scanned pages ranks lower; section keyphrases and
+    // entities (SectionAnnotator) add a bonus
+    const pageQuality = new Map(
+      (options.pageQuality || []).map((page) => [page.pageNumber, page.score])
+    );
+    const sectionsByIndex = new Map(
+      documentStructure.sections.map((section) => [section.index, section])
+    );
+    for (const element of searchIndex) {
+      const section = sectionsByIndex.get(element.section);
+      element.pageQuality = pageQuality.get(element.page) ?? 1;
+      element.keyphrases = (section && section.keyphrases) || [];
+      element.entities = (section && section.entities) || {};
+    }
 
     // Process topics with controlled concurrency for AI requests
     const topicBatches = this._createBatches(
@@ -84,17 +192,28 @@ export class SemanticMatcher {
   async _findTopicMatches(topic, searchIndex, filename, topicIndex) {
     const candidates = [];
 
+    // First stage: this document's BM25 top-K for the topic, scored against
+    // the whole corpus. Documents without any BM25 hit (pure paraphrases)
+    // fall back to scoring every element
+    const retrieved = this.bm25Index
+      ? this.bm25Index.retrieve(topic, this.config.bm25TopK, filename).scores
+      : null;
+    const useRetrieval = retrieved && retrieved.size > 0;
+
     // Traditional matching for all searchable elements
     for (const element of searchIndex) {
-      const traditionalScore = this._calculateTraditionalScore(
-        topic,
-        element.text
-      );
+      if (useRetrieval && !retrieved.has(element.key)) continue;
+
+      const bm25Score = retrieved ? retrieved.get(element.key) || 0 : 0;
+      const traditionalScore =
+        this._calculateTraditionalScore(topic, element.text) +
+        bm25Score * this._getBM25Weight();
 
       if (traditionalScore > 0) {
         candidates.push({
           element,
           traditionalScore,
+          bm25Score,
           aiScore: 0, // Will be filled later if AI is available
         });
       }
@@ -108,6 +227,7 @@ export class SemanticMatcher {
     if (
       this.ollamaHandler &&
       this.config.aiEnhancedMode &&
+      this._getScorerWeight("ai") > 0 &&
       topCandidates.length > 0
     ) {
       try {
@@ -142,10 +262,16 @@ export class SemanticMatcher {
     // Calculate final scores and create matches
     const matches = [];
     for (const candidate of candidates) {
-      const finalScore = this._calculateFinalScore(
-        candidate.traditionalScore,
-        candidate.aiScore
+      const annotationBonus = this._calculateAnnotationBonus(
+        topic,
+        candidate.element
       );
+      const finalScore =
+        Math.min(
+          1,
+          this._calculateFinalScore(candidate.traditionalScore, candidate.aiScore) +
+            annotationBonus
+        ) * this._getQualityFactor(candidate.element.pageQuality);
 
       if (finalScore >= this.config.minMatchScore) {
         matches.push({
@@ -153,13 +279,21 @@ export class SemanticMatcher {
           topic: topic,
           section_title: this._truncateText(candidate.element.text, 100),
           page_number: candidate.element.page,
+          section_index: candidate.element.section,
           importance_rank: topicIndex + 1,
           match_score: parseFloat(finalScore.toFixed(3)),
           match_type: candidate.element.type,
           traditional_score: parseFloat(candidate.traditionalScore.toFixed(3)),
+          bm25_score: parseFloat(candidate.bm25Score.toFixed(3)),
+          embedding_score: parseFloat(
+            this._calculateEmbeddingScore(topic, candidate.element.text).toFixed(3)
+          ),
           ai_score: parseFloat(candidate.aiScore.toFixed(3)),
           element_importance: candidate.element.importance,
+          page_quality: candidate.element.pageQuality ?? 1,
+          annotation_bonus: parseFloat(annotationBonus.toFixed(3)),
           bbox: candidate.element.bbox || null,
+          duplicate_group: candidate.element.duplicateGroup || null,
         });
       }
     }
@@ -173,25 +307,130 @@ export class SemanticMatcher {
   }
 
   /**
-   * Calculate traditional matching score using fuzzy + cosine similarity
+   * Calculate traditional matching score from the configured text scorers,
+   * plus embedding similarity when a model is loaded
    * @param {string} topic - Topic text
    * @param {string} text - Content text
-   * @returns {number} - Traditional score (0-1)
+   * @returns {number} - Weighted score (0 to _getTraditionalWeight())
    */
   _calculateTraditionalScore(topic, text) {
     if (!text || text.length < 3) return 0;
 
-    const fuzzyScore = fuzzyMatch(topic, text);
-    const cosineScore = cosineSimilarity(topic, text);
+    let score = 0;
+    for (const [name, scorer, weight] of this._getTextScorers()) {
+      try {
+        score += scorer(topic, text) * weight;
+      } catch (error) {
+        console.warn(
+          `⚠️ [Semantic Matcher] Scorer "${name}" failed:`,
+          error.message
+        );
+      }
+    }
+    if (this._embeddingsEnabled()) {
+      score +=
+        this._calculateEmbeddingScore(topic, text) *
+        this._getScorerWeight("embedding");
+    }
+    return score;
+  }
 
+  /**
+   * Configured text scorers resolved from the registry; custom scorers can
+   * be registered after the matcher is created
+   * @returns {Array} - [name, scorer, weight] for every weighted, registered scorer
+   */
+  _getTextScorers() {
+    const resolved = [];
+    for (const [name, weight] of Object.entries(this.config.scorers)) {
+      if (this.signalScorers.has(name) || !(weight > 0)) continue;
+
+      const scorer = getScorer(name);
+      if (!scorer) {
+        if (!this.missingScorers.has(name)) {
+          this.missingScorers.add(name);
+          console.warn(
+            `⚠️ [Semantic Matcher] No scorer registered as "${name}", ignoring it`
+          );
+        }
+        continue;
+      }
+      resolved.push([name, scorer, weight]);
+    }
+    return resolved;
+  }
+
+  /**
+   * Configured weight of a scorer
+   * @param {string} name - Scorer name
+   * @returns {number} - Weight, 0 if not configured
+   */
+  _getScorerWeight(name) {
+    return this.config.scorers[name] || 0;
+  }
+
+  /**
+   * Embedding similarity between topic and text (both must be precomputed)
+   * @param {string} topic - Topic text
+   * @param {string} text - Content text
+   * @returns {number} - Similarity (0-1), 0 without a model
+   */
+  _calculateEmbeddingScore(topic, text) {
+    if (!this._embeddingsEnabled()) return 0;
+    return this.embeddingScorer.similarity(topic, text);
+  }
+
+  /**
+   * Whether an embedding model is loaded and weighted
+   * @returns {boolean}
+   */
+  _embeddingsEnabled() {
+    return Boolean(
+      this.embeddingScorer &&
+        this.embeddingScorer.available &&
+        this._getScorerWeight("embedding") > 0
+    );
+  }
+
+  /**
+   * Weight of the BM25 score, 0 until the corpus index is built
+   * @returns {number}
+   */
+  _getBM25Weight() {
+    return this.bm25Index ? this._getScorerWeight("bm25") : 0;
+  }
+
+  /**
+   * Sum of the weights of the active traditional scorers
+   * @returns {number} - Weight total used to normalize traditional scores
+   */
+  _getTraditionalWeight() {
+    const textWeight = this._getTextScorers().reduce(
+      (sum, [, , weight]) => sum + weight,
+      0
+    );
     return (
-      fuzzyScore * this.config.fuzzyWeight +
-      cosineScore * this.config.cosineWeight
+      textWeight +
+        (this._embeddingsEnabled() ? this._getScorerWeight("embedding") : 0) +
+        this._getBM25Weight() || 1
     );
   }
 
   /**
-   * Calculate final combined score
+   * Stable key of a search index element within the corpus
+   * @param {string} filename - Document filename
+   * @param {number} index - Position in the document's search index
+   * @returns {string} - Element key
+   */
+  _elementKey(filename, index) {
+    return `${filename}#${index}`;
+  }
+
+  /**
+   * Calculate final combined score. The traditional scorers' weights are
+   * relative and normalized by their sum; the "ai" weight is instead the
+   * share of the final score taken by the AI score (clamped to 0-1), so
+   * 0.3 means 70% traditional, 30% AI whatever the other weights are
    * @param {number} traditionalScore - Traditional matching score
    * @param {number} aiScore - AI-enhanced score
    * @returns {number} - Final combined score
@@ -199,18 +438,54 @@ export class SemanticMatcher {
   _calculateFinalScore(traditionalScore, aiScore) {
     if (!this.ollamaHandler || !this.config.aiEnhancedMode || aiScore === 0) {
       // No AI enhancement, normalize traditional score
-      return (
-        traditionalScore / (this.config.fuzzyWeight + this.config.cosineWeight)
-      );
+      return traditionalScore / this._getTraditionalWeight();
     }
 
-    // Combine traditional and AI scores with weights
+    // Blend the normalized traditional score with the AI score
+    const aiWeight = Math.min(1, Math.max(0, this._getScorerWeight("ai")));
     const normalizedTraditional =
-      traditionalScore / (this.config.fuzzyWeight + this.config.cosineWeight);
-    return (
-      normalizedTraditional * (1 - this.config.aiWeight) +
-      aiScore * this.config.aiWeight
+      traditionalScore / this._getTraditionalWeight();
+    return normalizedTraditional * (1 - aiWeight) + aiScore * aiWeight;
+  }
+
+  /**
+   * Extra score from section keyphrases and entities
+   * @param {string} topic - Topic text
+   * @param {object} element - Search index element with keyphrases and entities
+   * @returns {number} - Bonus between 0 and keyphraseWeight + entityWeight
+   */
+  _calculateAnnotationBonus(topic, element) {
+    let bonus = 0;
+
+    const topicWords = topic.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+    const keyphraseWords = new Set(
+      (element.keyphrases || []).flatMap((keyphrase) =>
+        keyphrase.phrase.split(" ")
+      )
     );
+    if (topicWords.length > 0 && keyphraseWords.size > 0) {
+      const shared = topicWords.filter((word) => keyphraseWords.has(word)).length;
+      bonus += this.config.keyphraseWeight * (shared / topicWords.length);
+    }
+
+    const entities = element.entities || {};
+    const wanted = Object.keys(this.entityCues).filter((type) =>
+      this.entityCues[type].test(topic)
+    );
+    if (wanted.some((type) => entities[type] && entities[type].length > 0)) {
+      bonus += this.config.entityWeight;
+    }
+
+    return bonus;
+  }
+
+  /**
+   * Turn a page quality score into a score multiplier
+   * @param {number} [pageQuality] - Page quality between 0 and 1 (default 1)
+   * @returns {number} - Multiplier between 1 - pageQualityWeight and 1
+   */
+  _getQualityFactor(pageQuality = 1) {
+    return 1 - this.config.pageQualityWeight * (1 - pageQuality);
   }
 
   /**
@@ -235,18 +510,42 @@ export class SemanticMatcher {
 
     // Add sections and content
     for (const section of documentStructure.sections) {
-      // Add section header
-      searchIndex.push({
-        type: "section-header",
-        text: section.title,
-        page: section.page,
-        section: section.index,
-        importance: 0.8,
-        bbox: section.bbox || null,
-      });
+      // Add section header (preamble/page fallback sections have placeholder titles)
+      if (!["preamble", "page"].includes(section.source)) {
+        searchIndex.push({
+          type: "section-header",
+          text: section.title,
+          page: section.page,
+          section: section.index,
+          importance: 0.8,
+          bbox: section.bbox || null,
+          duplicateGroup: section.duplicateGroup || null,
+        });
+      }
 
       // Add section content
       for (const content of section.content) {
+        if (content.type === "Table" && content.table) {
+          // Score table rows individually so single records can match
+          const rows = this.tableExtractor.searchableRows(
+            content.table,
+            content.duplicateGroup
+          );
+          for (const row of rows) {
+            if (row.text.length <= 10) continue;
+            searchIndex.push({
+              type: row.type,
+              text: row.text,
+              page: content.page,
+              section: section.index,
+              importance: this._getContentImportance("Table"),
+              bbox: row.bbox,
+              duplicateGroup: row.duplicateGroup,
+            });
+          }
+          continue;
+        }
+
         if (content.text && content.text.length > 10) {
           searchIndex.push({
             type: content.type.toLowerCase().replace("-", "_"),
@@ -255,11 +554,25 @@ export class SemanticMatcher {
             section: section.index,
             importance: this._getContentImportance(content.type),
             bbox: content.bbox || null,
+            duplicateGroup: content.duplicateGroup || null,
           });
         }
       }
     }
 
+    // Add form fields (fillable PDFs)
+    for (const field of documentStructure.formFields || []) {
+      if (!field.text) continue;
+      searchIndex.push({
+        type: "form_field",
+        text: field.text,
+        page: field.page,
+        section: field.sectionIndex,
+        importance: this._getContentImportance("Form-field"),
+        bbox: field.bbox || null,
+      });
+    }
+
     return searchIndex;
   }
 
@@ -277,6 +590,7 @@ export class SemanticMatcher {
       Caption: 0.4,
       Table: 0.7,
       Formula: 0.3,
+      "Form-field": 0.7,
     };
 
     return importanceMap[contentType] || 0.4;
@@ -326,6 +640,7 @@ export class SemanticMatcher {
       ai_enhanced: match.ai_score > 0,
       ai_score: match.ai_score,
       confidence_level: this._getConfidenceLevel(match.match_score),
+      alternates: match.alternates || [],
     }));
   }
 
@@ -344,6 +659,9 @@ export class SemanticMatcher {
       list_item: "List Item",
       caption: "Caption",
       table: "Table",
+      table_row: "Table Row",
+      form_field: "Form Field",
+      "form-field": "Form Field",
       formula: "Formula",
     };
 
@@ -392,7 +710,13 @@ export class SemanticMatcher {
    * @returns {object} - Current statistics
    */
   getStats() {
-    return { ...this.stats };
+    return {
+      ...this.stats,
+      ...(this.bm25Index ? { bm25: this.bm25Index.getStats() } : {}),
+      ...(this.embeddingScorer
+        ? { embeddings: this.embeddingScorer.getStats() }
+        : {}),
+    };
   }
 
   /**
@@ -411,10 +735,22 @@ export class SemanticMatcher {
    * @returns {Promise<object>} - Test results
    */
   async testMatching(topic, text) {
-    const traditionalScore = this._calculateTraditionalScore(topic, text);
+    if (this._embeddingsEnabled()) {
+      await this.embeddingScorer.precompute([topic, text]);
+    }
+    const bm25Score = this.bm25Index
+      ? this.bm25Index.scoreText(topic, text)
+      : 0;
+    const traditionalScore =
+      this._calculateTraditionalScore(topic, text) +
+      bm25Score * this._getBM25Weight();
     let aiScore = 0;
 
-    if (this.ollamaHandler && this.config.aiEnhancedMode) {
+    if (
+      this.ollamaHandler &&
+      this.config.aiEnhancedMode &&
+      this._getScorerWeight("ai") > 0
+    ) {
       try {
         aiScore = await this.ollamaHandler.getSemanticRelevance(topic, text);
       } catch (error) {
@@ -428,6 +764,10 @@ export class SemanticMatcher {
       topic,
       text: this._truncateText(text, 100),
       traditional_score: parseFloat(traditionalScore.toFixed(3)),
+      bm25_score: parseFloat(bm25Score.toFixed(3)),
+      embedding_score: parseFloat(
+        this._calculateEmbeddingScore(topic, text).toFixed(3)
+      ),
       ai_score: parseFloat(aiScore.toFixed(3)),
       final_score: parseFloat(finalScore.toFixed(3)),
       confidence_level: this._getConfidenceLevel(finalScore),
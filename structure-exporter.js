@@ -0,0 +1,313 @@
+// structure-exporter.js - Markdown and HTML Export of Document Structures
+import fs from "fs-extra";
+import path from "path";
+import TableExtractor from "./table-extractor.js";
+
+export class StructureExporter {
+  constructor(config = {}) {
+    this.pageMarkers = config.pageMarkers !== false; // Mark where each page starts
+    this.tableExtractor = new TableExtractor();
+
+    // Supported formats and their file extensions
+    this.formats = {
+      markdown: "md",
+      html: "html",
+    };
+  }
+
+  /**
+   * Write the requested exports for one document
+   * @param {object} structure - Document structure from DocumentAnalyzer
+   * @param {string} filename - Original filename
+   * @param {Array} formats - Any of "markdown", "html"
+   * @param {string} outputDir - Output directory
+   * @returns {Promise<Array>} - Paths to saved files
+   */
+  async exportDocument(
+    structure,
+    filename,
+    formats = ["markdown", "html"],
+    outputDir = "./parsed_jsons"
+  ) {
+    const savedPaths = [];
+
+    for (const format of formats) {
+      if (!this.formats[format]) {
+        console.warn(`⚠️ [Structure Exporter] Unknown export format: ${format}`);
+        continue;
+      }
+
+      const outputPath = path.join(
+        outputDir,
+        `${filename}.${this.formats[format]}`
+      );
+      const content =
+        format === "markdown"
+          ? this.toMarkdown(structure)
+          : this.toHTML(structure, filename);
+      await fs.outputFile(outputPath, content);
+      savedPaths.push(outputPath);
+    }
+
+    if (savedPaths.length > 0) {
+      console.log(
+        `💾 [Structure Exporter] ${filename} exported as ${formats.join(", ")}`
+      );
+    }
+    return savedPaths;
+  }
+
+  /**
+   * Render a document structure as Markdown
+   * @param {object} structure - Document structure
+   * @returns {string} - Markdown text
+   */
+  toMarkdown(structure) {
+    const parts = [];
+    if (structure.title) parts.push(`# ${structure.title}`);
+
+    for (const block of this._collectBlocks(structure)) {
+      switch (block.kind) {
+        case "page":
+          parts.push(`<!-- page ${block.page} -->`);
+          break;
+        case "heading":
+          parts.push(`${"#".repeat(block.depth)} ${block.text}`);
+          break;
+        case "list":
+          parts.push(
+            block.items
+              .map((item) => {
+                const text = this._escapeMarkdown(item.text);
+                return block.ordered ? `${item.number}. ${text}` : `- ${text}`;
+              })
+              .join("\n")
+          );
+          break;
+        case "table":
+          parts.push(this.tableExtractor.toMarkdown(block.table));
+          break;
+        case "caption":
+          parts.push(`*${block.text}*`);
+          break;
+        default:
+          parts.push(this._escapeMarkdown(block.text));
+      }
+    }
+
+    return parts.join("\n\n") + "\n";
+  }
+
+  /**
+   * Render a document structure as a standalone HTML page; every block
+   * carries data-page and data-bbox (page pixel coordinates)
+   * @param {object} structure - Document structure
+   * @param {string} [filename] - Original filename, used when there is no title
+   * @returns {string} - HTML document
+   */
+  toHTML(structure, filename = "") {
+    const title = structure.title || filename || "Untitled Document";
+    const body = [];
+    if (structure.title) body.push(`<h1>${this._escapeHTML(structure.title)}</h1>`);
+
+    for (const block of this._collectBlocks(structure)) {
+      switch (block.kind) {
+        case "page":
+          body.push(
+            `<div class="page-marker" data-page="${block.page}">Page ${block.page}</div>`
+          );
+          break;
+        case "heading":
+          body.push(
+            `<h${block.depth}${this._dataAttributes(block)}>${this._escapeHTML(block.text)}</h${block.depth}>`
+          );
+          break;
+        case "list": {
+          const tag = block.ordered ? "ol" : "ul";
+          const start =
+            block.ordered && block.items[0].number !== 1
+              ? ` start="${block.items[0].number}"`
+              : "";
+          const items = block.items.map(
+            (item) =>
+              `  <li${this._dataAttributes(item)}>${this._escapeHTML(item.text)}</li>`
+          );
+          body.push([`<${tag}${start}>`, ...items, `</${tag}>`].join("\n"));
+          break;
+        }
+        case "table":
+          body.push(this._tableToHTML(block));
+          break;
+        case "caption":
+          body.push(
+            `<p class="caption"${this._dataAttributes(block)}>${this._escapeHTML(block.text)}</p>`
+          );
+          break;
+        default:
+          body.push(
+            `<p${this._dataAttributes(block)}>${this._escapeHTML(block.text)}</p>`
+          );
+      }
+    }
+
+    return [
+      "<!DOCTYPE html>",
+      "<html>",
+      "<head>",
+      '<meta charset="utf-8">',
+      `<title>${this._escapeHTML(title)}</title>`,
+      "<style>",
+      "body { font-family: sans-serif; max-width: 50em; margin: 2em auto; line-height: 1.5; }",
+      ".page-marker { color: #7f8c8d; border-top: 1px dashed #bdc3c7; margin: 2em 0 1em; font-size: 0.8em; }",
+      ".caption { font-style: italic; }",
+      "table { border-collapse: collapse; }",
+      "td, th { border: 1px solid #bdc3c7; padding: 0.2em 0.5em; }",
+      "</style>",
+      "</head>",
+      "<body>",
+      ...body,
+      "</body>",
+      "</html>",
+      "",
+    ].join("\n");
+  }
+
+  /**
+   * Flatten sections into renderable blocks in document order, inserting
+   * page markers and grouping consecutive list items
+   * @param {object} structure - Document structure
+   * @returns {Array} - Blocks with kind, text, page and bbox
+   */
+  _collectBlocks(structure) {
+    const blocks = [];
+    let currentPage = null;
+    let list = null;
+
+    const markPage = (page) => {
+      if (!this.pageMarkers || !page || page === currentPage) return;
+      currentPage = page;
+      list = null;
+      blocks.push({ kind: "page", page });
+    };
+
+    // Headings sit one level below the document title
+    const offset = structure.title ? 1 : 0;
+
+    for (const section of structure.sections) {
+      // Preamble and page segments have no heading of their own
+      if (section.source !== "preamble" && section.source !== "page") {
+        markPage(section.page);
+        list = null;
+        blocks.push({
+          kind: "heading",
+          depth: Math.min((section.level || 1) + offset, 6),
+          text: section.title,
+          page: section.page,
+          bbox: section.bbox,
+          section: section.index,
+        });
+      }
+
+      for (const item of section.content) {
+        markPage(item.page);
+
+        if (item.type === "List-item") {
+          const match = item.text.match(/^(?:[•▪◦●‣∙*–-]|(\d+)[.)])\s+(.*)$/u);
+          const ordered = Boolean(match && match[1]);
+          if (!list || list.ordered !== ordered) {
+            list = { kind: "list", ordered, items: [] };
+            blocks.push(list);
+          }
+          list.items.push({
+            text: match ? match[2] : item.text,
+            number: ordered ? parseInt(match[1], 10) : null,
+            page: item.page,
+            bbox: item.bbox,
+            section: section.index,
+          });
+          continue;
+        }
+
+        list = null;
+        blocks.push({
+          kind: item.type === "Table" && item.table
+            ? "table"
+            : item.type === "Caption"
+              ? "caption"
+              : "text",
+          text: item.text,
+          table: item.table || null,
+          page: item.page,
+          bbox: item.bbox,
+          section: section.index,
+        });
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Render a table block with a header row when one was detected
+   * @param {object} block - Table block
+   * @returns {string} - HTML table
+   */
+  _tableToHTML(block) {
+    const rows = block.table.rows.map((row) => {
+      const tag = row.isHeader ? "th" : "td";
+      const cells = row.cells.map(
+        (cell) => `<${tag}>${this._escapeHTML(cell.text || "")}</${tag}>`
+      );
+      return `  <tr>${cells.join("")}</tr>`;
+    });
+    return [
+      `<table${this._dataAttributes(block)}>`,
+      ...rows,
+      "</table>",
+    ].join("\n");
+  }
+
+  /**
+   * Build data-page, data-bbox and data-section attributes for a block
+   * @param {object} block - Block with page, bbox and section
+   * @returns {string} - Attribute string with a leading space, or ""
+   */
+  _dataAttributes(block) {
+    const attributes = [];
+    if (block.page) attributes.push(`data-page="${block.page}"`);
+    if (block.bbox) {
+      attributes.push(
+        `data-bbox="${block.bbox.map((value) => Math.round(value)).join(",")}"`
+      );
+    }
+    if (block.section) attributes.push(`data-section="${block.section}"`);
+    return attributes.length > 0 ? ` ${attributes.join(" ")}` : "";
+  }
+
+  /**
+   * Escape markers at the start of a line that Markdown would read as a
+   * heading, list, quote, table or code fence
+   * @param {string} text - Paragraph text
+   * @returns {string} - Text that renders as a plain paragraph
+   */
+  _escapeMarkdown(text) {
+    return String(text)
+      .replace(/^(\s*)([#>|+*-]|`{3}|~{3})/gm, "$1\\$2")
+      .replace(/^(\s*\d+)([.)])(?=\s)/gm, "$1\\$2");
+  }
+
+  /**
+   * Escape text for HTML content and attributes
+   * @param {string} text - Raw text
+   * @returns {string} - Escaped text
+   */
+  _escapeHTML(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+}
+
+export default StructureExporter;
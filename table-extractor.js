@@ -0,0 +1,299 @@
+// table-extractor.js - Table Structure Recognition from Positioned Words
+import crypto from "crypto";
+
+export class TableExtractor {
+  constructor(config = {}) {
+    this.rowOverlap = config.rowOverlap || 0.5; // Vertical overlap ratio for words sharing a row
+    this.columnGapRatio = config.columnGapRatio || 0.8; // Column gap relative to median word height
+    this.minRows = config.minRows || 1;
+  }
+
+  /**
+   * Recognize rows, columns and cells from words inside a table region
+   * @param {Array} words - Words with text and pixel bbox [x1, y1, x2, y2]
+   * @param {Array} bbox - Table region bbox
+   * @returns {object|null} - Table structure or null if no usable words
+   */
+  extractTable(words, bbox) {
+    const usableWords = words.filter(
+      (word) => word.text && word.text.trim().length > 0
+    );
+    if (usableWords.length === 0) return null;
+
+    const rowBands = this._groupRows(usableWords);
+    if (rowBands.length < this.minRows) return null;
+
+    const columns = this._findColumns(usableWords);
+
+    const rows = rowBands.map((band, rowIndex) => {
+      const cells = columns.map((column, columnIndex) => {
+        const cellWords = band.words
+          .filter((word) => {
+            const centerX = (word.bbox[0] + word.bbox[2]) / 2;
+            return centerX >= column.x1 && centerX <= column.x2;
+          })
+          .sort((a, b) => a.bbox[0] - b.bbox[0]);
+
+        return {
+          column: columnIndex,
+          text: cellWords.map((word) => word.text).join(" "),
+          bbox:
+            cellWords.length > 0
+              ? this._unionBox(cellWords.map((word) => word.bbox))
+              : [column.x1, band.y1, column.x2, band.y2],
+        };
+      });
+
+      return {
+        index: rowIndex,
+        isHeader: false,
+        bbox: [bbox[0], band.y1, bbox[2], band.y2],
+        cells,
+      };
+    });
+
+    if (this._looksLikeHeader(rows)) {
+      rows[0].isHeader = true;
+    }
+
+    return {
+      bbox,
+      columnCount: columns.length,
+      rowCount: rows.length,
+      headers: rows[0].isHeader ? rows[0].cells.map((cell) => cell.text) : [],
+      rows,
+    };
+  }
+
+  /**
+   * Group words into rows by vertical overlap
+   * @param {Array} words - Words to group
+   * @returns {Array} - Row bands ({ y1, y2, words }) top to bottom
+   */
+  _groupRows(words) {
+    const sorted = [...words].sort((a, b) => a.bbox[1] - b.bbox[1]);
+    const rows = [];
+
+    for (const word of sorted) {
+      const height = word.bbox[3] - word.bbox[1];
+      const row = rows.find((candidate) => {
+        const overlap =
+          Math.min(candidate.y2, word.bbox[3]) -
+          Math.max(candidate.y1, word.bbox[1]);
+        const minHeight = Math.min(candidate.y2 - candidate.y1, height);
+        return minHeight > 0 && overlap / minHeight >= this.rowOverlap;
+      });
+
+      if (row) {
+        row.words.push(word);
+        row.y1 = Math.min(row.y1, word.bbox[1]);
+        row.y2 = Math.max(row.y2, word.bbox[3]);
+      } else {
+        rows.push({ y1: word.bbox[1], y2: word.bbox[3], words: [word] });
+      }
+    }
+
+    return rows.sort((a, b) => a.y1 - b.y1);
+  }
+
+  /**
+   * Find column ranges from the horizontal projection of all words
+   * @param {Array} words - Words in the table
+   * @returns {Array} - Column ranges ({ x1, x2 }) left to right
+   */
+  _findColumns(words) {
+    const heights = words
+      .map((word) => word.bbox[3] - word.bbox[1])
+      .sort((a, b) => a - b);
+    const medianHeight = heights[Math.floor(heights.length / 2)] || 1;
+    const minGap = medianHeight * this.columnGapRatio;
+
+    const intervals = words
+      .map((word) => [word.bbox[0], word.bbox[2]])
+      .sort((a, b) => a[0] - b[0]);
+
+    const columns = [];
+    for (const [x1, x2] of intervals) {
+      const last = columns[columns.length - 1];
+      if (last && x1 - last.x2 < minGap) {
+        last.x2 = Math.max(last.x2, x2);
+      } else {
+        columns.push({ x1, x2 });
+      }
+    }
+
+    return columns;
+  }
+
+  /**
+   * Decide whether the first row is a header row
+   * @param {Array} rows - Table rows
+   * @returns {boolean} - True if the first row looks like a header
+   */
+  _looksLikeHeader(rows) {
+    if (rows.length < 2) return false;
+
+    const [first, ...body] = rows;
+    const firstFilled = first.cells.filter((cell) => cell.text).length;
+    if (firstFilled < Math.max(1, first.cells.length - 1)) return false;
+
+    const bodyCells = body.flatMap((row) => row.cells);
+    const firstNumeric = this._numericRatio(first.cells);
+    const bodyNumeric = this._numericRatio(bodyCells);
+    if (firstNumeric < bodyNumeric) return true;
+
+    // Headers are usually shorter labels than the values below them
+    return (
+      firstNumeric === 0 &&
+      this._averageLength(first.cells) <= this._averageLength(bodyCells)
+    );
+  }
+
+  /**
+   * Share of non-empty cells that hold numeric values
+   * @param {Array} cells - Cells to inspect
+   * @returns {number} - Ratio (0-1)
+   */
+  _numericRatio(cells) {
+    const filled = cells.filter((cell) => cell.text);
+    if (filled.length === 0) return 0;
+
+    const numeric = filled.filter((cell) =>
+      /^[\s\d.,%$€£¥()+\-/:]+$/.test(cell.text)
+    );
+    return numeric.length / filled.length;
+  }
+
+  /**
+   * Average text length of non-empty cells
+   * @param {Array} cells - Cells to inspect
+   * @returns {number} - Average length
+   */
+  _averageLength(cells) {
+    const filled = cells.filter((cell) => cell.text);
+    if (filled.length === 0) return 0;
+    return (
+      filled.reduce((sum, cell) => sum + cell.text.length, 0) / filled.length
+    );
+  }
+
+  /**
+   * Union of several [x1, y1, x2, y2] boxes
+   * @param {Array} boxes - Boxes to merge
+   * @returns {Array} - Enclosing box
+   */
+  _unionBox(boxes) {
+    return [
+      Math.min(...boxes.map((box) => box[0])),
+      Math.min(...boxes.map((box) => box[1])),
+      Math.max(...boxes.map((box) => box[2])),
+      Math.max(...boxes.map((box) => box[3])),
+    ];
+  }
+
+  /**
+   * Describe a table row as searchable text, labelling values with headers
+   * @param {object} table - Table structure
+   * @param {object} row - Row to describe
+   * @returns {string} - Row text
+   */
+  describeRow(table, row) {
+    return row.cells
+      .filter((cell) => cell.text)
+      .map((cell) => {
+        const header = table.headers[cell.column];
+        return header && !row.isHeader ? `${header}: ${cell.text}` : cell.text;
+      })
+      .join("; ");
+  }
+
+  /**
+   * Search-index entries for the data rows of a table. Shared by every
+   * search index so rows are typed and keyed the same way everywhere
+   * @param {object} table - Table structure
+   * @param {string} [duplicateGroup] - Duplicate cluster of the whole table
+   * @returns {Array} - { type: "table_row", text, rowIndex, bbox, duplicateGroup }
+   */
+  searchableRows(table, duplicateGroup = null) {
+    const entries = [];
+    for (const [rowIndex, row] of table.rows.entries()) {
+      if (row.isHeader || !row.text) continue;
+      entries.push({
+        type: "table_row",
+        text: row.text,
+        rowIndex, // For display only; positions shift when rows are added
+        bbox: row.bbox || null,
+        // Only rows with the same cells in duplicated tables are duplicates
+        duplicateGroup: duplicateGroup
+          ? `${duplicateGroup}:row-${this._rowKey(row)}`
+          : null,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Position-independent key of a row's content
+   * @param {object} row - Table row
+   * @returns {string} - Short hash of the normalized cell texts (row text without cells)
+   */
+  _rowKey(row) {
+    const normalize = (text) => (text || "").toLowerCase().replace(/\s+/g, " ").trim();
+    const cells = (row.cells || []).map((cell) => normalize(cell.text));
+    const normalized = cells.some(Boolean) ? cells.join("|") : normalize(row.text);
+    return crypto.createHash("sha1").update(normalized).digest("hex").slice(0, 12);
+  }
+
+  /**
+   * Render a table as plain text, one row per line
+   * @param {object} table - Table structure
+   * @returns {string} - Plain text table
+   */
+  toText(table) {
+    return table.rows
+      .map((row) => row.cells.map((cell) => cell.text).join(" | "))
+      .join("\n");
+  }
+
+  /**
+   * Render a table as CSV
+   * @param {object} table - Table structure
+   * @returns {string} - CSV text
+   */
+  toCSV(table) {
+    const escape = (value) => {
+      // Spreadsheets run cells starting with =, +, - or @ as formulas
+      const safe = /^[=+\-@]/.test(value) ? `'${value}` : value;
+      return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+    };
+
+    return table.rows
+      .map((row) => row.cells.map((cell) => escape(cell.text)).join(","))
+      .join("\n");
+  }
+
+  /**
+   * Render a table as a Markdown pipe table
+   * @param {object} table - Table structure
+   * @returns {string} - Markdown table
+   */
+  toMarkdown(table) {
+    const escape = (value) => value.replace(/\|/g, "\\|");
+    const formatRow = (cells) =>
+      `| ${cells.map((cell) => escape(cell.text) || " ").join(" | ")} |`;
+
+    const [first, ...rest] = table.rows;
+    const header = first.isHeader
+      ? first.cells
+      : first.cells.map((cell) => ({ text: `Column ${cell.column + 1}` }));
+    const body = first.isHeader ? rest : table.rows;
+
+    return [
+      formatRow(header),
+      `| ${header.map(() => "---").join(" | ")} |`,
+      ...body.map((row) => formatRow(row.cells)),
+    ].join("\n");
+  }
+}
+
+export default TableExtractor;
@@ -0,0 +1,110 @@
+// task-queue.js - Bounded-Concurrency Task Queue with Stage Statistics
+
+export class TaskQueue {
+  constructor(name, concurrency = 1) {
+    this.name = name;
+    this.concurrency = Math.max(1, concurrency);
+    this.active = 0;
+    this.pending = [];
+
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      totalTaskMs: 0,
+      peakQueueDepth: 0,
+      firstStartedAt: null,
+      lastFinishedAt: null,
+    };
+  }
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @returns {Promise<any>} - Resolves with the task result
+   */
+  run(task) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, resolve, reject });
+      this.stats.peakQueueDepth = Math.max(
+        this.stats.peakQueueDepth,
+        this.pending.length
+      );
+      this._next();
+    });
+  }
+
+  /**
+   * Start queued tasks while slots are available
+   */
+  _next() {
+    while (this.active < this.concurrency && this.pending.length > 0) {
+      const { task, resolve, reject } = this.pending.shift();
+      this.active++;
+
+      const startTime = performance.now();
+      if (this.stats.firstStartedAt === null) {
+        this.stats.firstStartedAt = startTime;
+      }
+
+      Promise.resolve()
+        .then(task)
+        .then(
+          (result) => {
+            this.stats.completed++;
+            resolve(result);
+          },
+          (error) => {
+            this.stats.failed++;
+            reject(error);
+          }
+        )
+        .finally(() => {
+          const endTime = performance.now();
+          this.stats.totalTaskMs += endTime - startTime;
+          this.stats.lastFinishedAt = endTime;
+          this.active--;
+          this._next();
+        });
+    }
+  }
+
+  /**
+   * Number of tasks waiting for a slot
+   * @returns {number} - Queue depth
+   */
+  get queueDepth() {
+    return this.pending.length;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {object} - Queue depth, activity and throughput
+   */
+  getStats() {
+    const finished = this.stats.completed + this.stats.failed;
+    const elapsedSeconds =
+      this.stats.firstStartedAt !== null && this.stats.lastFinishedAt !== null
+        ? (this.stats.lastFinishedAt - this.stats.firstStartedAt) / 1000
+        : 0;
+
+    return {
+      name: this.name,
+      concurrency: this.concurrency,
+      active: this.active,
+      queueDepth: this.pending.length,
+      peakQueueDepth: this.stats.peakQueueDepth,
+      completed: this.stats.completed,
+      failed: this.stats.failed,
+      averageTaskSeconds:
+        finished > 0
+          ? parseFloat((this.stats.totalTaskMs / finished / 1000).toFixed(3))
+          : 0,
+      throughputPerSecond:
+        elapsedSeconds > 0
+          ? parseFloat((finished / elapsedSeconds).toFixed(3))
+          : 0,
+    };
+  }
+}
+
+export default TaskQueue;
@@ -0,0 +1,171 @@
+// text-normalizer.js - Unicode-Preserving Text Normalization and Language Detection
+
+export class TextNormalizer {
+  constructor(config = {}) {
+    this.languageSampleLength = config.languageSampleLength || 20000; // Characters inspected for detection
+    this.minStopwordHits = config.minStopwordHits || 3; // Below this a Latin-script language is not guessed
+
+    // Typographic ligatures that PDFs and OCR emit as single code points
+    this.ligatures = {
+      "ﬀ": "ff",
+      "ﬁ": "fi",
+      "ﬂ": "fl",
+      "ﬃ": "ffi",
+      "ﬄ": "ffl",
+      "ﬅ": "st",
+      "ﬆ": "st",
+      "Ĳ": "IJ",
+      "ĳ": "ij",
+    };
+
+    // Writing systems with one obvious tesseract language
+    this.scriptLanguages = {
+      Han: "chi_sim",
+      Japanese: "jpn",
+      Hiragana: "jpn",
+      Katakana: "jpn",
+      Hangul: "kor",
+      Cyrillic: "rus",
+      Arabic: "ara",
+      Greek: "ell",
+      Devanagari: "hin",
+      Hebrew: "heb",
+      Thai: "tha",
+    };
+
+    // Frequent function words for Latin-script languages (tesseract codes)
+    this.stopwords = {
+      eng: ["the", "and", "of", "to", "in", "is", "that", "for", "with", "on", "are", "this", "be", "as", "by"],
+      fra: ["le", "la", "les", "et", "des", "du", "un", "une", "est", "pour", "dans", "que", "qui", "sur", "pas"],
+      deu: ["der", "die", "und", "das", "ist", "nicht", "mit", "den", "von", "zu", "ein", "eine", "für", "auf", "sich"],
+      spa: ["el", "los", "las", "y", "que", "en", "por", "para", "con", "una", "es", "del", "se", "como", "más"],
+      ita: ["il", "di", "che", "per", "non", "una", "sono", "della", "con", "gli", "è", "nel", "alla", "anche", "delle"],
+      por: ["os", "do", "da", "em", "para", "com", "uma", "não", "é", "dos", "das", "ao", "mais", "como", "pelo"],
+      nld: ["het", "een", "en", "van", "dat", "op", "te", "niet", "met", "voor", "zijn", "ook", "die", "wordt", "bij"],
+    };
+  }
+
+  /**
+   * Normalize extracted text while keeping Unicode letters and symbols:
+   * NFC, ligatures expanded, hyphenated line breaks joined, invisible and
+   * control characters removed, whitespace collapsed
+   * @param {string} text - Raw extracted text (may contain line breaks)
+   * @returns {string} - Normalized single-line text
+   */
+  normalize(text) {
+    if (!text || typeof text !== "string") return "";
+
+    return this.dehyphenate(this.expandLigatures(text.normalize("NFC")))
+      .replace(/[\u00AD\u200B-\u200D\u2060\uFEFF\uFFFD]/g, "") // Soft hyphens, zero-width, replacement chars
+      .replace(/[\p{Cc}\p{Co}]/gu, (char) => (/\s/.test(char) ? char : "")) // Control and private-use chars
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Replace ligature code points with their letters
+   * @param {string} text - Text to fix
+   * @returns {string} - Text without ligatures
+   */
+  expandLigatures(text) {
+    return text.replace(
+      /[\uFB00-\uFB06\u0132\u0133]/g,
+      (char) => this.ligatures[char] || char
+    );
+  }
+
+  /**
+   * Join words split by a hyphen at a line break ("infor-\nmation")
+   * @param {string} text - Text with line breaks
+   * @returns {string} - Text with split words rejoined
+   */
+  dehyphenate(text) {
+    return text.replace(/(\p{L})[-\u2010\u00AD][ \t]*\r?\n\s*(\p{Ll})/gu, "$1$2");
+  }
+
+  /**
+   * Detect the dominant script and language of a text
+   * @param {string} text - Text to inspect
+   * @returns {object} - { language (tesseract code or null), script, confidence }
+   */
+  detectLanguage(text) {
+    const unknown = { language: null, script: null, confidence: 0 };
+    if (!text || typeof text !== "string") return unknown;
+
+    const sample = text.slice(0, this.languageSampleLength);
+    const scriptCounts = {
+      Latin: (sample.match(/\p{Script=Latin}/gu) || []).length,
+      Han: (sample.match(/\p{Script=Han}/gu) || []).length,
+      Japanese: (sample.match(/[\p{Script=Hiragana}\p{Script=Katakana}]/gu) || []).length,
+      Hangul: (sample.match(/\p{Script=Hangul}/gu) || []).length,
+      Cyrillic: (sample.match(/\p{Script=Cyrillic}/gu) || []).length,
+      Arabic: (sample.match(/\p{Script=Arabic}/gu) || []).length,
+      Greek: (sample.match(/\p{Script=Greek}/gu) || []).length,
+      Devanagari: (sample.match(/\p{Script=Devanagari}/gu) || []).length,
+      Hebrew: (sample.match(/\p{Script=Hebrew}/gu) || []).length,
+      Thai: (sample.match(/\p{Script=Thai}/gu) || []).length,
+    };
+
+    // Japanese mixes kanji with kana; any notable kana share makes it Japanese
+    if (scriptCounts.Japanese > 0 && scriptCounts.Japanese >= scriptCounts.Han * 0.1) {
+      scriptCounts.Japanese += scriptCounts.Han;
+      scriptCounts.Han = 0;
+    }
+
+    const letters = Object.values(scriptCounts).reduce((sum, n) => sum + n, 0);
+    if (letters === 0) return unknown;
+
+    const [script, count] = Object.entries(scriptCounts).sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    const scriptShare = count / letters;
+
+    if (script !== "Latin") {
+      return {
+        language: this.languageForScript(script),
+        script,
+        confidence: parseFloat(scriptShare.toFixed(3)),
+      };
+    }
+
+    // Latin script: pick the language whose function words occur most
+    const tokens = sample.toLowerCase().match(/\p{L}+/gu) || [];
+    const hits = Object.fromEntries(
+      Object.keys(this.stopwords).map((language) => [language, 0])
+    );
+    const lookup = new Map();
+    for (const [language, words] of Object.entries(this.stopwords)) {
+      for (const word of words) {
+        if (!lookup.has(word)) lookup.set(word, []);
+        lookup.get(word).push(language);
+      }
+    }
+    for (const token of tokens) {
+      for (const language of lookup.get(token) || []) hits[language]++;
+    }
+
+    const ranked = Object.entries(hits).sort((a, b) => b[1] - a[1]);
+    const [language, best] = ranked[0];
+    if (best < this.minStopwordHits) {
+      return { language: null, script, confidence: 0 };
+    }
+
+    const totalHits = ranked.reduce((sum, [, n]) => sum + n, 0);
+    return {
+      language,
+      script,
+      confidence: parseFloat(((best / totalHits) * scriptShare).toFixed(3)),
+    };
+  }
+
+  /**
+   * Map a script name (tesseract OSD or detectLanguage) to a tesseract language
+   * @param {string} script - Script name, e.g. "Cyrillic"
+   * @returns {string|null} - Tesseract language code, or null if the script is ambiguous (Latin)
+   */
+  languageForScript(script) {
+    return this.scriptLanguages[script] || null;
+  }
+}
+
+export default TextNormalizer;